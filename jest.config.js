@@ -23,6 +23,8 @@ module.exports = {
     '^@content/(.*)$': '<rootDir>/src/content/$1',
     '^@popup/(.*)$': '<rootDir>/src/popup/$1',
     '^@options/(.*)$': '<rootDir>/src/options/$1',
+    '^@offscreen/(.*)$': '<rootDir>/src/offscreen/$1',
+    '^@adapters/(.*)$': '<rootDir>/src/adapters/$1',
     '^@utils/(.*)$': '<rootDir>/src/utils/$1'
   },
 
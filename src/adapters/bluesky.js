@@ -0,0 +1,66 @@
+/**
+ * Bluesky Site Adapter
+ * Selectors follow the testID props of the bsky.app web client, rendered as data-testid
+ */
+
+export const blueskyAdapter = {
+  id: 'bluesky',
+  name: 'Bluesky',
+  hosts: ['bsky.app'],
+
+  // Covers cdn.bsky.app and video.bsky.app, which serve its media
+  includeSubdomains: true,
+
+  // Not granted at install; the options page requests these when the user enables Bluesky
+  optional: true,
+
+  rootSelector: '#root',
+  postSelector: '[data-testid^="feedItem-by-"], [data-testid^="postThreadItem-by-"]',
+
+  videoSelectors: [
+    'video',
+    'iframe[src*="youtube"]',
+    'iframe[src*="youtu.be"]',
+    'iframe[src*="vimeo"]'
+  ],
+
+  imageSelectors: [
+    // Post images and link card thumbnails
+    'img[src*="cdn.bsky.app/img/feed_thumbnail"]',
+    'img[src*="cdn.bsky.app/img/feed_fullsize"]',
+
+    // Tenor GIFs
+    'img[src*="media.tenor.com"]'
+  ],
+
+  videoContainerSelector: 'figure[aria-label*="video" i]',
+
+  avatarSelectors: [
+    '[data-testid="userAvatarImage"] img',
+    'img[src*="cdn.bsky.app/img/avatar"]'
+  ],
+  avatarContainerSelector: '[data-testid="userAvatarImage"]',
+  avatarUrlPattern: /\/img\/avatar(_thumbnail)?\//,
+
+  bannerSelectors: ['img[src*="cdn.bsky.app/img/banner"]'],
+  bannerUrlPattern: /\/img\/banner\//,
+
+  // Bluesky's GIF picker embeds Tenor renditions
+  gifUrlPattern: /media\.tenor\.com/,
+
+  // External link cards point off-site
+  cardSelector: 'a[href^="http"]:not([href*="bsky.app"])',
+
+  // Labeled posts (adult content, graphic media, user warnings) render behind a content hider
+  sensitiveMediaSelector: '[data-testid^="contentHider"]',
+
+  uiSelector: 'nav, [role="navigation"], [data-testid="homeScreenFeedTabs"]',
+
+  /**
+   * The handle of a post's author, lowercased and without the @
+   */
+  getAuthor(post) {
+    const match = (post.getAttribute('data-testid') || '').match(/-by-(.+)$/);
+    return match ? match[1].toLowerCase() : null;
+  }
+};
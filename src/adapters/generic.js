@@ -0,0 +1,49 @@
+/**
+ * Generic Site Adapter
+ * Used on the blacklisted domains no other adapter covers. With no site markup to go by,
+ * every image, video, iframe and inline background image above a minimum size is a candidate.
+ */
+
+export const genericAdapter = {
+  id: 'generic',
+  name: 'Blacklisted sites',
+  hosts: [],
+
+  // Settings key holding the domains; each is requested when the user blacklists it
+  hostsSetting: 'blacklistedDomains',
+  optional: true,
+
+  // Blacklist patterns may name a path; the rest of the host is not filtered
+  blacklistOnly: true,
+
+  rootSelector: 'body',
+  postSelector: 'article',
+
+  videoSelectors: ['video', 'iframe'],
+  imageSelectors: ['img', '[style*="background-image"]'],
+
+  videoContainerSelector: 'video',
+
+  avatarSelectors: ['img[alt*="avatar" i]', 'img[class*="avatar" i]'],
+  avatarContainerSelector: '[class*="avatar" i]',
+  avatarUrlPattern: /avatar/i,
+
+  bannerSelectors: [],
+  bannerUrlPattern: null,
+
+  gifUrlPattern: /\.gif\b/i,
+
+  cardSelector: '[class*="link-card" i], [class*="linkcard" i]',
+
+  // Common markers sites put on adult content
+  sensitiveMediaSelector: '[data-nsfw], [class*="nsfw" i]',
+
+  uiSelector: 'header, nav, footer, [role="navigation"], [role="banner"]',
+
+  // Icons, logos and spacers fall below this (px)
+  minMediaSize: { width: 100, height: 100 },
+
+  getAuthor() {
+    return null;
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * XSafe Site Adapters
+ * Each supported site declares where its media, posts and UI chrome live. The content
+ * script reads the adapter for the current page; the background registers content
+ * scripts for every adapter whose hosts are granted. Optional adapters (`optional: true`)
+ * are only granted when the user enables them in the options page. Adapters with a
+ * `hostsSetting` (Mastodon, generic) also cover the domains the user lists under that settings key.
+ */
+
+import { getPatternHost } from '../utils/domain-patterns';
+import { blueskyAdapter } from './bluesky';
+import { genericAdapter } from './generic';
+import { mastodonAdapter } from './mastodon';
+import { redditAdapter } from './reddit';
+import { xAdapter } from './x';
+
+// A host belongs to the first adapter claiming it, so the generic adapter goes last
+export const SITE_ADAPTERS = [xAdapter, redditAdapter, blueskyAdapter, mastodonAdapter, genericAdapter];
+
+export function getSiteAdapter(hostname, settings = {}) {
+  return SITE_ADAPTERS.find(adapter =>
+    getAdapterHosts(adapter, settings).some(host => matchesHost(hostname, host))) || null;
+}
+
+export function matchesHost(hostname, host) {
+  const bareHost = host.replace(/^\*\./, '');
+  return hostname === bareHost || hostname.endsWith(`.${bareHost}`);
+}
+
+/**
+ * The adapter's own hosts plus any the user added in settings. User entries may be
+ * domain patterns; only their host part (`*.`-prefixed for subdomains) is kept.
+ */
+export function getAdapterHosts(adapter, settings = {}) {
+  if (!adapter.hostsSetting) {
+    return adapter.hosts;
+  }
+
+  // Skip hosts an earlier adapter already covers, so no page gets two content scripts
+  const earlier = SITE_ADAPTERS.slice(0, SITE_ADAPTERS.indexOf(adapter));
+  const isClaimed = host => earlier.some(other =>
+    getAdapterHosts(other, settings).some(claimed => matchesHost(host.replace(/^\*\./, ''), claimed)));
+  const userHosts = (settings[adapter.hostsSetting] || []).map(getPatternHost).filter(host => !isClaimed(host));
+  return [...new Set([...adapter.hosts, ...userHosts])];
+}
+
+/**
+ * Match patterns for chrome.scripting and context menus
+ */
+export function getMatchPatterns(adapter, settings = {}) {
+  // `*://*.host/*` also matches the bare host
+  return getAdapterHosts(adapter, settings)
+    .map(host => (adapter.includeSubdomains && !host.startsWith('*.') ? `*://*.${host}/*` : `*://${host}/*`));
+}
+
+/**
+ * Origins to request for an optional adapter: its pages plus the hosts serving its media,
+ * which the classifier needs to read pixels. `getMediaHosts` adds media hosts for each
+ * user-added host.
+ */
+export function getPermissionOrigins(adapter, settings = {}) {
+  const userMediaHosts = adapter.getMediaHosts ?
+    getAdapterHosts(adapter, settings).flatMap(host => adapter.getMediaHosts(host.replace(/^\*\./, ''))) :
+    [];
+  const mediaOrigins = [...(adapter.mediaHosts || []), ...userMediaHosts].map(host => `*://${host}/*`);
+  return [...new Set([...getMatchPatterns(adapter, settings), ...mediaOrigins])];
+}
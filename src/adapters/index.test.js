@@ -0,0 +1,210 @@
+/**
+ * Tests for site adapter lookup and the bundled adapters
+ */
+
+import { blueskyAdapter } from './bluesky';
+import { genericAdapter } from './generic';
+import {
+  SITE_ADAPTERS,
+  getAdapterHosts,
+  getMatchPatterns,
+  getPermissionOrigins,
+  getSiteAdapter
+} from './index';
+import { mastodonAdapter } from './mastodon';
+import { redditAdapter } from './reddit';
+import { xAdapter } from './x';
+
+describe('getSiteAdapter', () => {
+  it('should find the adapter for a host and its subdomains', () => {
+    expect(getSiteAdapter('x.com')).toBe(xAdapter);
+    expect(getSiteAdapter('mobile.twitter.com')).toBe(xAdapter);
+    expect(getSiteAdapter('old.reddit.com')).toBe(redditAdapter);
+  });
+
+  it('should find sites on hosts the user added in settings', () => {
+    const settings = { mastodonInstances: ['mastodon.social'] };
+
+    expect(getSiteAdapter('mastodon.social')).toBeNull();
+    expect(getSiteAdapter('mastodon.social', settings)).toBe(mastodonAdapter);
+    expect(getSiteAdapter('bsky.app', settings)).toBe(blueskyAdapter);
+  });
+
+  it('should use the generic adapter on blacklisted domains only no other site covers', () => {
+    const settings = { blacklistedDomains: ['example.com', 'x.com'] };
+
+    expect(getSiteAdapter('example.com', settings)).toBe(genericAdapter);
+    expect(getSiteAdapter('x.com', settings)).toBe(xAdapter);
+    expect(getAdapterHosts(genericAdapter, settings)).toEqual(['example.com']);
+  });
+
+  it('should register blacklist patterns by their host', () => {
+    const settings = { blacklistedDomains: ['*.example.com', 'example.org/gallery/*', 'example.org/photos'] };
+
+    expect(getMatchPatterns(genericAdapter, settings)).toEqual(['*://*.example.com/*', '*://example.org/*']);
+    expect(getSiteAdapter('www.example.com', settings)).toBe(genericAdapter);
+  });
+
+  it('should leave hosts claimed by an earlier user-hosted adapter to it', () => {
+    const settings = { mastodonInstances: ['mastodon.social'], blacklistedDomains: ['mastodon.social'] };
+
+    expect(getSiteAdapter('mastodon.social', settings)).toBe(mastodonAdapter);
+    expect(getMatchPatterns(genericAdapter, settings)).toEqual([]);
+  });
+
+  it('should not match hosts that merely end with the same letters', () => {
+    expect(getSiteAdapter('notx.com')).toBeNull();
+    expect(getSiteAdapter('example.com')).toBeNull();
+  });
+});
+
+describe('getMatchPatterns', () => {
+  it('should build a match pattern per host', () => {
+    expect(getMatchPatterns(xAdapter)).toEqual(['*://x.com/*', '*://twitter.com/*']);
+  });
+
+  it('should cover subdomains for adapters that include them', () => {
+    expect(getMatchPatterns(redditAdapter)).toEqual(['*://*.reddit.com/*']);
+  });
+
+  it('should build patterns for user-added hosts', () => {
+    expect(getMatchPatterns(mastodonAdapter)).toEqual([]);
+    expect(getMatchPatterns(mastodonAdapter, { mastodonInstances: ['mastodon.social', 'hachyderm.io'] }))
+      .toEqual(['*://mastodon.social/*', '*://hachyderm.io/*']);
+  });
+
+  it('should give every adapter a unique id and at least one host', () => {
+    const ids = SITE_ADAPTERS.map(adapter => adapter.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    SITE_ADAPTERS.forEach(adapter => {
+      expect(adapter.hosts.length > 0 || Boolean(adapter.hostsSetting)).toBe(true);
+    });
+  });
+});
+
+describe('xAdapter.getAuthor', () => {
+  const buildPost = (href) => {
+    // tests/setup.js stubs the shared document's DOM methods; use a real one
+    const doc = document.implementation.createHTMLDocument('');
+    const post = doc.createElement('article');
+    post.innerHTML = `<div data-testid="User-Name"><a href="${href}">Name</a></div>`;
+    return post;
+  };
+
+  it('should read the handle from the author link', () => {
+    expect(xAdapter.getAuthor(buildPost('/XSafe_Dev'))).toBe('xsafe_dev');
+  });
+
+  it('should ignore links that are not profiles', () => {
+    expect(xAdapter.getAuthor(buildPost('https://example.com/'))).toBeNull();
+  });
+});
+
+describe('getPermissionOrigins', () => {
+  it('should request the media hosts alongside the site', () => {
+    expect(getPermissionOrigins(redditAdapter)).toEqual(['*://*.reddit.com/*', '*://*.redd.it/*']);
+  });
+
+  it('should request the media subdomains of each Mastodon instance', () => {
+    const settings = { mastodonInstances: ['mastodon.social'] };
+
+    expect(getPermissionOrigins(mastodonAdapter, settings))
+      .toEqual(['*://mastodon.social/*', '*://*.mastodon.social/*']);
+    expect(getPermissionOrigins(mastodonAdapter)).toEqual([]);
+  });
+});
+
+describe('redditAdapter.getAuthor', () => {
+  const buildPost = (html) => {
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+    return doc.body.firstElementChild;
+  };
+
+  it('should read the author of new and old Reddit posts', () => {
+    expect(redditAdapter.getAuthor(buildPost('<shreddit-post author="XSafe_Dev"></shreddit-post>'))).toBe('xsafe_dev');
+    expect(redditAdapter.getAuthor(buildPost('<div class="thing" data-author="someone"></div>'))).toBe('someone');
+  });
+
+  it('should return null for posts without an author', () => {
+    expect(redditAdapter.getAuthor(buildPost('<shreddit-post></shreddit-post>'))).toBeNull();
+  });
+});
+
+describe('xAdapter.getCardUrl', () => {
+  const buildCard = (label) => {
+    const doc = document.implementation.createHTMLDocument('');
+    const card = doc.createElement('div');
+    card.innerHTML = `<a href="https://t.co/xyz" aria-label="${label}"><img></a>`;
+    return card;
+  };
+
+  it('should read the destination domain from the link label', () => {
+    expect(xAdapter.getCardUrl(buildCard('News.Example.com Some headline'))).toBe('https://news.example.com/');
+  });
+
+  it('should fall back to the link itself', () => {
+    expect(xAdapter.getCardUrl(buildCard('Some headline'))).toBe('https://t.co/xyz');
+  });
+});
+
+describe('blueskyAdapter.getAuthor', () => {
+  it('should read the handle from the post test id', () => {
+    const doc = document.implementation.createHTMLDocument('');
+    const post = doc.createElement('div');
+    post.setAttribute('data-testid', 'feedItem-by-Alice.bsky.social');
+
+    expect(blueskyAdapter.getAuthor(post)).toBe('alice.bsky.social');
+    expect(blueskyAdapter.getAuthor(doc.createElement('div'))).toBeNull();
+  });
+});
+
+describe('mastodonAdapter.getAuthor', () => {
+  const buildPost = (href) => {
+    const doc = document.implementation.createHTMLDocument('');
+    const post = doc.createElement('div');
+    post.className = 'status';
+    post.innerHTML = `<a class="status__display-name" href="${href}">Name</a>`;
+    return post;
+  };
+
+  it('should read local and remote handles from the author link', () => {
+    expect(mastodonAdapter.getAuthor(buildPost('https://mastodon.social/@Gargron'))).toBe('gargron');
+    expect(mastodonAdapter.getAuthor(buildPost('https://mastodon.social/@alice@hachyderm.io')))
+      .toBe('alice@hachyderm.io');
+  });
+});
+
+describe('xAdapter.getPostScope', () => {
+  const buildPost = (tabindex) => {
+    const doc = document.implementation.createHTMLDocument('');
+    const post = doc.createElement('article');
+    post.setAttribute('tabindex', tabindex);
+    return post;
+  };
+
+  it('should tell search results, replies and timelines apart', () => {
+    expect(xAdapter.getPostScope(buildPost('0'), { pathname: '/search' })).toBe('search');
+    expect(xAdapter.getPostScope(buildPost('0'), { pathname: '/hashtag/cats' })).toBe('search');
+    expect(xAdapter.getPostScope(buildPost('0'), { pathname: '/someone/status/123' })).toBe('replies');
+    expect(xAdapter.getPostScope(buildPost('0'), { pathname: '/home' })).toBe('timeline');
+  });
+
+  it('should not count the opened tweet as a reply', () => {
+    expect(xAdapter.getPostScope(buildPost('-1'), { pathname: '/someone/status/123' })).toBe('timeline');
+  });
+});
+
+describe('xAdapter.getPostId', () => {
+  it('should read the status id from the timestamp link', () => {
+    const doc = document.implementation.createHTMLDocument('');
+    const post = doc.createElement('article');
+    post.innerHTML = `
+      <a href="/someone/status/123/photo/1"><img></a>
+      <a href="/someone/status/456"><time datetime="2024-01-01T00:00:00.000Z">Jan 1</time></a>
+    `;
+
+    expect(xAdapter.getPostId(post)).toBe('456');
+    expect(xAdapter.getPostId(doc.createElement('article'))).toBeNull();
+  });
+});
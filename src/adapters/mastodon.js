@@ -0,0 +1,74 @@
+/**
+ * Mastodon Site Adapter
+ * Mastodon runs on any domain, so its hosts are the instances the user adds in the options page
+ */
+
+export const mastodonAdapter = {
+  id: 'mastodon',
+  name: 'Mastodon',
+  hosts: [],
+
+  // Settings key holding the user's instance domains
+  hostsSetting: 'mastodonInstances',
+
+  // Each instance is requested when the user adds it
+  optional: true,
+
+  // Instances usually serve media from a subdomain (files., media., cdn.). Media on an
+  // unrelated CDN host can't be read, so it stays hidden instead of being classified.
+  getMediaHosts: instance => [`*.${instance}`],
+
+  rootSelector: '#mastodon',
+  postSelector: '.status, .detailed-status',
+  postTextSelector: '.status__content',
+
+  videoSelectors: [
+    '.video-player video',
+    '.media-gallery__gifv video',
+    'iframe[src*="youtube"]',
+    'iframe[src*="youtu.be"]',
+    'iframe[src*="vimeo"]'
+  ],
+
+  imageSelectors: [
+    // Media attachments in posts and the full-size viewer
+    '.media-gallery__item img',
+    '.media-modal img',
+
+    // Link preview cards
+    '.status-card__image img'
+  ],
+
+  videoContainerSelector: '.video-player',
+
+  avatarSelectors: [
+    '.status__avatar img',
+    '.account__avatar img'
+  ],
+  avatarContainerSelector: '.status__avatar, .account__avatar',
+  avatarUrlPattern: /\/accounts\/avatars\//,
+
+  bannerSelectors: ['.account__header__image img'],
+  bannerUrlPattern: /\/accounts\/headers\//,
+
+  // Mastodon converts GIFs to looping MP4s ("gifv") whose URLs look like any other video
+  gifUrlPattern: /\.gif\b/,
+  gifSelector: '.media-gallery__gifv video',
+
+  cardSelector: '.status-card',
+
+  // Posts behind a content warning, and attachments the author marked sensitive
+  sensitiveMediaSelector: '.status__content--with-spoiler, .content-warning, .spoiler-button:not(.spoiler-button--hidden)',
+
+  uiSelector: '.navigation-panel, .compose-panel, .tabs-bar__wrapper, nav',
+
+  /**
+   * The handle of a post's author, lowercased and without the leading @
+   * (remote accounts keep their @instance suffix)
+   */
+  getAuthor(post) {
+    const link = post.querySelector('.status__display-name, .detailed-status__display-name');
+    const match = link && (link.getAttribute('href') || '').match(/\/@([\w.-]+(?:@[\w.-]+)?)/);
+    return match ? match[1].toLowerCase() : null;
+  }
+};
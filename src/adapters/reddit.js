@@ -0,0 +1,81 @@
+/**
+ * Reddit Site Adapter
+ * Covers the current web client (shreddit custom elements) and old.reddit.com
+ */
+
+export const redditAdapter = {
+  id: 'reddit',
+  name: 'Reddit',
+  hosts: ['reddit.com'],
+  includeSubdomains: true,
+
+  // Not granted at install; the options page requests these when the user enables Reddit
+  optional: true,
+  mediaHosts: ['*.redd.it'],
+
+  // Old Reddit has no app root, so the observer falls back to <body>
+  rootSelector: 'shreddit-app',
+  postSelector: 'shreddit-post, .thing',
+  postTextSelector: 'shreddit-post [slot="title"], shreddit-post [slot="text-body"], .thing a.title, .thing .usertext-body',
+
+  videoSelectors: [
+    'video',
+    'shreddit-player',
+    'shreddit-player-2',
+    'iframe[src*="youtube"]',
+    'iframe[src*="youtu.be"]',
+    'iframe[src*="vimeo"]',
+    'iframe[src*="redditmedia.com"]'
+  ],
+
+  imageSelectors: [
+    // Single images and galleries in posts
+    'shreddit-post [slot="post-media-container"] img',
+    'shreddit-post gallery-carousel img',
+    'shreddit-post img.media-lightbox-img',
+    'shreddit-post img[src*="redd.it"]',
+
+    // Preview thumbnails in card and compact views
+    'shreddit-post [slot="thumbnail"] img',
+
+    // Old Reddit thumbnails, expandos and galleries
+    '.thing a.thumbnail img',
+    '.thing .expando img',
+    '.thing .media-preview img',
+    '.thing .media-gallery img',
+
+    // Full-size media viewer
+    '#lightbox img'
+  ],
+
+  videoContainerSelector: 'shreddit-player, shreddit-player-2',
+
+  avatarSelectors: [
+    'shreddit-post [slot="credit-bar"] img',
+    '.thing .author-avatar img'
+  ],
+  avatarContainerSelector: '[slot="credit-bar"], .author-avatar',
+  avatarUrlPattern: /\/avatars?\//,
+
+  // Community and profile banners are page chrome on Reddit, not media in posts
+  bannerSelectors: [],
+  bannerUrlPattern: null,
+
+  // Reddit converts GIFs to MP4 renditions on its preview host
+  gifUrlPattern: /\.gif\b|[?&]format=mp4/,
+
+  cardSelector: 'faceplate-tracker[noun="outbound_link"], .thing .link-card',
+
+  // NSFW posts carry a flag on the post itself and blur their media until clicked
+  sensitiveMediaSelector: '[nsfw], .over18, shreddit-blurred-container, .nsfw-stamp',
+
+  uiSelector: 'reddit-header-large, #header, header, nav, .side, [slot="sidebar"]',
+
+  /**
+   * The username of a post's author, lowercased and without the u/
+   */
+  getAuthor(post) {
+    const author = post.getAttribute('author') || post.getAttribute('data-author');
+    return author ? author.toLowerCase() : null;
+  }
+};
@@ -0,0 +1,130 @@
+/**
+ * X (Twitter) Site Adapter
+ * Selectors follow the data-testid attributes of X's web client
+ */
+
+export const xAdapter = {
+  id: 'x',
+  name: 'X (Twitter)',
+  hosts: ['x.com', 'twitter.com'],
+
+  // Holds the timeline and the layers (photo viewer, modals) rendered beside it
+  rootSelector: '#react-root',
+  postSelector: 'article',
+  postLabel: 'Tweet',
+
+  // The tweet's own text and that of a tweet it quotes; keyword rules match against it
+  postTextSelector: '[data-testid="tweetText"]',
+
+  videoSelectors: [
+    // Video players and embeds
+    'video',
+    '[data-testid="videoPlayer"]',
+    '[data-testid="videoComponent"]',
+    'iframe[src*="youtube"]',
+    'iframe[src*="youtu.be"]',
+    'iframe[src*="vimeo"]',
+    'iframe[src*="twimg"]'
+  ],
+
+  imageSelectors: [
+    // Individual images in tweets - be very specific
+    '[data-testid="tweetPhoto"] img',
+    '[data-testid="media"] img:not([alt*="avatar"]):not([alt*="profile"])',
+
+    // Card media images (but not the entire card)
+    '[data-testid="card.layoutLarge.media"] img',
+    '[data-testid="card.layoutSmall.media"] img',
+
+    // Photo grid, media container and viewer images
+    '[data-testid="photoGrid"] img',
+    '[data-testid="mediaContainer"] img',
+    '[data-testid="photoViewer"] img',
+
+    // Tweet images with Twitter domains
+    'article img[src*="pbs.twimg.com"]:not([alt*="avatar"]):not([alt*="profile"])',
+    'article img[src*="ton.twimg.com"]:not([alt*="avatar"]):not([alt*="profile"])',
+    'article img[src*="video.twimg.com"]',
+
+    // Background image divs within media contexts
+    '[data-testid="media"] div[style*="background-image"]',
+    '[data-testid="tweetPhoto"] div[style*="background-image"]'
+  ],
+
+  // Player wrappers that are hidden as a whole rather than per <video>
+  videoContainerSelector: '[data-testid="videoPlayer"], [data-testid="videoComponent"]',
+
+  // Avatars shown inside posts (authors, quoted tweets) - only scanned when the policy hides them
+  avatarSelectors: [
+    'article [data-testid="Tweet-User-Avatar"] img',
+    'article img[src*="profile_images"]'
+  ],
+  avatarContainerSelector: '[data-testid="Tweet-User-Avatar"], [data-testid^="UserAvatar-Container"]',
+  avatarUrlPattern: /profile_images/,
+
+  // The header photo on profile pages - only scanned when the policy hides banners
+  bannerSelectors: [
+    'a[href$="/header_photo"] img',
+    'a[href$="/header_photo"] div[style*="background-image"]'
+  ],
+  bannerUrlPattern: /profile_banners/,
+
+  // X serves GIFs as looping <video> elements from the tweet_video path
+  gifUrlPattern: /tweet_video/,
+
+  cardSelector: '[data-testid^="card."]',
+
+  // Markers X renders on media it hides behind its own sensitive-content interstitial
+  sensitiveMediaSelector: '[data-testid="sensitiveMediaWarning"], [style*="filter: blur"]',
+
+  // Navigation and sidebars, never filtered as media containers
+  uiSelector: '[role="navigation"], [data-testid="sidebarColumn"], header, nav',
+
+  /**
+   * Where a link card leads. Card links go through t.co, so the destination is read from
+   * the domain X puts at the start of the link's label.
+   */
+  getCardUrl(card) {
+    const link = card.querySelector('a[href]') || card.closest('a[href]');
+    if (!link) {
+      return null;
+    }
+
+    const domain = (link.getAttribute('aria-label') || '').match(/^([a-z0-9-]+(?:\.[a-z0-9-]+)+)\s/i);
+    return domain ? `https://${domain[1].toLowerCase()}/` : link.href;
+  },
+
+  /**
+   * Where a post is shown, for keyword rules scoped to part of the site: search results
+   * (including hashtag pages), the replies under an opened tweet, or any other timeline.
+   * The opened tweet itself is the only article X renders without tabindex="0".
+   */
+  getPostScope(post, location) {
+    if (/^\/(search|hashtag)(\/|$)/.test(location.pathname)) {
+      return 'search';
+    }
+    if (/\/status\/\d+/.test(location.pathname) && post.getAttribute('tabindex') === '0') {
+      return 'replies';
+    }
+    return 'timeline';
+  },
+
+  /**
+   * The tweet's status id, read from its timestamp link. X reuses an article for another
+   * tweet while scrolling, and this is how a recycled one is told apart.
+   */
+  getPostId(post) {
+    const time = post.querySelector('a[href*="/status/"] time');
+    const match = time && time.closest('a').getAttribute('href').match(/\/status\/(\d+)/);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * The @handle of a post's author, lowercased and without the @
+   */
+  getAuthor(post) {
+    const link = post.querySelector('[data-testid="User-Name"] a[href^="/"]');
+    const match = link && link.getAttribute('href').match(/^\/(\w{1,15})(?:[/?#]|$)/);
+    return match ? match[1].toLowerCase() : null;
+  }
+};
@@ -3,11 +3,31 @@
  * Handles settings, coordination between components, and extension lifecycle
  */
 
+import { SITE_ADAPTERS, getMatchPatterns } from '../adapters';
+import { HASH_LISTS, findHashMatch } from '../utils/hash-lists';
+import { DEFAULT_MEDIA_CATEGORIES, migrateFilterMode } from '../utils/media-categories';
+import { isValidHash, normalizeHash } from '../utils/perceptual-hash';
+import { normalizeMediaUrl } from '../utils/media-url';
+import {
+  LOCAL_SETTINGS,
+  getSettingArea,
+  getSettingSizeError,
+  splitSettings
+} from '../utils/settings-storage';
+
+// Classifier scores at or above this are cached as 'unsafe'; content scripts still
+// compare the raw score against the active intensity threshold
+const UNSAFE_VERDICT_SCORE = 0.5;
+
 class XSafeBackground {
   constructor() {
     this.settings = new SettingsManager();
     this.filterController = new FilterController();
     this.statsTracker = new StatsTracker();
+    this.hashLists = new HashListManager();
+    this.classificationCache = new ClassificationCache();
+    this.classifierBridge = new ClassifierBridge(this.classificationCache, this.hashLists);
+    this.contentScripts = new ContentScriptManager(this.settings);
 
     this.init();
   }
@@ -16,6 +36,9 @@ class XSafeBackground {
     // Initialize default settings
     await this.settings.init();
 
+    // Content scripts are registered per site adapter rather than listed in the manifest
+    await this.contentScripts.sync();
+
     // Set up message listeners
     this.setupMessageListeners();
 
@@ -27,6 +50,11 @@ class XSafeBackground {
 
   setupMessageListeners() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Messages for the offscreen classifier are answered there, not here
+      if (message && message.target === 'offscreen') {
+        return false;
+      }
+
       this.handleMessage(message, sender, sendResponse);
       return true; // Keep message channel open for async responses
     });
@@ -38,6 +66,19 @@ class XSafeBackground {
       this.handleInstall(details);
     });
 
+    // Sites enabled or disabled from the options page
+    chrome.permissions.onAdded.addListener(() => {
+      this.contentScripts.sync();
+    });
+    chrome.permissions.onRemoved.addListener(() => {
+      this.contentScripts.sync();
+    });
+
+    // "Always hide" / "Never hide" entries on images
+    chrome.contextMenus.onClicked.addListener((info) => {
+      this.handleContextMenuClick(info);
+    });
+
     // Handle tab updates to apply filters
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       if (changeInfo.status === 'loading' && tab.url) {
@@ -66,6 +107,13 @@ class XSafeBackground {
           return;
         }
         await this.settings.set(message.key, message.value);
+        if (message.key === 'customRules') {
+          await this.filterController.pruneRuleErrors(message.value);
+        }
+        // Mastodon instances and blacklisted domains decide where content scripts run
+        if (SITE_ADAPTERS.some(adapter => adapter.hostsSetting === message.key)) {
+          await this.contentScripts.sync();
+        }
         await this.updateAllTabs();
         sendResponse({ success: true });
         break;
@@ -88,6 +136,61 @@ class XSafeBackground {
         sendResponse({ success: true });
         break;
 
+      case 'CUSTOM_RULE_ERROR':
+        if (message.data && message.data.selector) {
+          await this.filterController.recordRuleError(message.data);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'GET_RULE_ERRORS':
+        sendResponse({ success: true, data: await this.filterController.getRuleErrors() });
+        break;
+
+      case 'CLASSIFY_MEDIA':
+        if (!message.data || !message.data.url) {
+          sendResponse({ success: false, error: 'Missing media URL' });
+          return;
+        }
+        sendResponse({
+          success: true,
+          data: await this.classifierBridge.analyze(message.data.url, { classify: message.data.classify !== false })
+        });
+        break;
+
+      case 'GET_HASH_LISTS':
+        sendResponse({ success: true, data: await this.hashLists.getAll() });
+        break;
+
+      case 'GET_HASH_LIST_STATUS':
+        sendResponse({ success: true, data: await this.hashLists.getStatus() });
+        break;
+
+      case 'ADD_HASHES':
+        if (!message.data || !HASH_LISTS.includes(message.data.list) || !Array.isArray(message.data.entries)) {
+          sendResponse({ success: false, error: 'Invalid hash list update' });
+          return;
+        }
+        sendResponse({ success: true, data: await this.hashLists.add(message.data.list, message.data.entries) });
+        await this.notifyHashListsChanged();
+        break;
+
+      case 'REMOVE_HASH':
+        if (!message.data || !HASH_LISTS.includes(message.data.list) || !message.data.hash) {
+          sendResponse({ success: false, error: 'Invalid hash list update' });
+          return;
+        }
+        await this.hashLists.remove(message.data.list, message.data.hash);
+        sendResponse({ success: true });
+        await this.notifyHashListsChanged();
+        break;
+
+      case 'INSERT_PLACEHOLDER_CSS':
+      case 'REMOVE_PLACEHOLDER_CSS':
+        await this.updatePlaceholderCSS(sender, message.type === 'INSERT_PLACEHOLDER_CSS');
+        sendResponse({ success: true });
+        break;
+
       case 'PERFORMANCE_DATA':
         if (message.data) {
           await this.statsTracker.recordPerformance(message.data);
@@ -104,7 +207,25 @@ class XSafeBackground {
     }
   }
 
+  /**
+   * Placeholder styles go in through the scripting API rather than web_accessible_resources,
+   * which would let any page detect that XSafe is installed
+   */
+  async updatePlaceholderCSS(sender, insert) {
+    if (!sender.tab) {
+      return;
+    }
+
+    const injection = {
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId || 0] },
+      files: ['placeholder.css']
+    };
+    await (insert ? chrome.scripting.insertCSS(injection) : chrome.scripting.removeCSS(injection));
+  }
+
   async handleInstall(details) {
+    this.setupContextMenus();
+
     if (details.reason === 'install') {
       // First-time install
       await this.settings.init();
@@ -132,17 +253,64 @@ class XSafeBackground {
     }
   }
 
+  setupContextMenus() {
+    // Menus persist across service worker restarts, so they are rebuilt on install/update only
+    chrome.contextMenus.removeAll(() => {
+      const documentUrlPatterns = SITE_ADAPTERS.flatMap(adapter => getMatchPatterns(adapter));
+
+      chrome.contextMenus.create({
+        id: 'xsafe-always-hide',
+        title: 'XSafe: Always hide this image',
+        contexts: ['image'],
+        documentUrlPatterns
+      });
+      chrome.contextMenus.create({
+        id: 'xsafe-never-hide',
+        title: 'XSafe: Never hide this image',
+        contexts: ['image'],
+        documentUrlPatterns
+      });
+    });
+  }
+
+  async handleContextMenuClick(info) {
+    const list = { 'xsafe-always-hide': 'blocked', 'xsafe-never-hide': 'allowed' }[info.menuItemId];
+    if (!list || !info.srcUrl) {
+      return;
+    }
+
+    try {
+      const result = await this.classifierBridge.analyze(info.srcUrl, { classify: false });
+      await this.hashLists.add(list, [{ hash: result.hash, label: normalizeMediaUrl(info.srcUrl) }]);
+      await this.notifyHashListsChanged();
+    } catch (error) {
+      console.error('[XSafe] Failed to add image to hash list:', error);
+    }
+  }
+
+  async notifyHashListsChanged() {
+    await this.broadcastToTabs({
+      type: 'HASH_LISTS_UPDATED',
+      data: await this.hashLists.getStatus()
+    });
+  }
+
   async updateAllTabs() {
     const settings = await this.settings.getAll();
+
+    await this.broadcastToTabs({
+      type: 'UPDATE_FILTERS',
+      settings: settings
+    });
+  }
+
+  async broadcastToTabs(message) {
     const tabs = await chrome.tabs.query({});
 
     for (const tab of tabs) {
       if (tab.url && !tab.url.startsWith('chrome://')) {
         try {
-          await chrome.tabs.sendMessage(tab.id, {
-            type: 'UPDATE_FILTERS',
-            settings: settings
-          });
+          await chrome.tabs.sendMessage(tab.id, message);
         } catch (error) {
           // Ignore tabs that can't receive messages
         }
@@ -151,6 +319,70 @@ class XSafeBackground {
   }
 }
 
+/**
+ * Content Script Manager
+ * Keeps one registered content script per site adapter
+ */
+class ContentScriptManager {
+  constructor(settings) {
+    this.settings = settings;
+    this.idPrefix = 'xsafe-site-';
+  }
+
+  async getScripts() {
+    const settings = await this.settings.getAll();
+    const scripts = [];
+
+    for (const adapter of SITE_ADAPTERS) {
+      const matches = [];
+
+      // Optional sites only run on the hosts the user has granted (e.g. some Mastodon instances)
+      for (const pattern of getMatchPatterns(adapter, settings)) {
+        if (!adapter.optional || await chrome.permissions.contains({ origins: [pattern] })) {
+          matches.push(pattern);
+        }
+      }
+
+      if (matches.length > 0) {
+        scripts.push({
+          id: `${this.idPrefix}${adapter.id}`,
+          matches,
+          js: ['content.js'],
+          runAt: 'document_start',
+          persistAcrossSessions: true
+        });
+      }
+    }
+
+    return scripts;
+  }
+
+  async sync() {
+    try {
+      const wanted = await this.getScripts();
+      const registered = (await chrome.scripting.getRegisteredContentScripts())
+        .filter(script => script.id.startsWith(this.idPrefix));
+
+      const stale = registered.filter(script => !wanted.some(wantedScript => wantedScript.id === script.id));
+      const changed = wanted.filter(script => registered.some(existing =>
+        existing.id === script.id && existing.matches.join() !== script.matches.join()));
+      const added = wanted.filter(script => !registered.some(existing => existing.id === script.id));
+
+      if (stale.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: stale.map(script => script.id) });
+      }
+      if (changed.length > 0) {
+        await chrome.scripting.updateContentScripts(changed);
+      }
+      if (added.length > 0) {
+        await chrome.scripting.registerContentScripts(added);
+      }
+    } catch (error) {
+      console.error('[XSafe] Failed to register content scripts:', error);
+    }
+  }
+}
+
 /**
  * Settings Manager
  * Handles all user preferences and settings
@@ -159,42 +391,86 @@ class SettingsManager {
   constructor() {
     this.defaultSettings = {
       enabled: true,
-      filterMode: 'both', // 'videos', 'images', 'both'
+      mediaCategories: { ...DEFAULT_MEDIA_CATEGORIES }, // Kinds of media to filter, see utils/media-categories.js
       intensityLevel: 'moderate', // 'strict', 'moderate', 'permissive'
       showPlaceholders: true,
       showClickToReveal: true,
+      classifierEnabled: true, // On-device image analysis before hiding
+      hideStyle: 'hide', // 'hide', 'blur', 'pixelate', 'grayscale'
+      blurStrength: 20, // px, also the pixelate block size
+      gifHandling: 'auto', // 'hide', 'freeze' (first frame), 'auto' follows prefers-reduced-motion
+      videoHandling: 'hide', // 'hide', or 'pause' to leave videos in place paused and muted
+      evaluationMargin: 1000, // px ahead of the viewport at which media is evaluated
       whitelistedDomains: [],
       blacklistedDomains: [],
-      customRules: [],
+      customRules: [], // { selector, description, enabled, hidePost }
+      accountRules: [], // { handle, action: 'allow' | 'deny', hidePost } by the post author's handle
+      keywordRules: [], // { pattern, type, wholeWord, scopes, action: 'media' | 'post', enabled } on post text
+      mediaSourceRules: [], // { pattern, action: 'allow' | 'deny' } keyed on the media's own URL host
+      mastodonInstances: [], // Instance domains the user enabled Mastodon filtering on
       version: '0.1.0'
     };
   }
 
   async init() {
-    const stored = await chrome.storage.sync.get(this.defaultSettings);
+    // Rule lists live in storage.local, everything else in storage.sync (see utils/settings-storage.js)
+    const defaults = splitSettings(this.defaultSettings);
+    const stored = {
+      ...await chrome.storage.sync.get(defaults.sync),
+      ...await chrome.storage.local.get(defaults.local)
+    };
 
     // Merge with defaults in case new settings were added
     const settings = { ...this.defaultSettings, ...stored };
 
-    await chrome.storage.sync.set(settings);
+    // Rule lists saved before they moved to storage.local; a local copy wins
+    const syncedRules = await chrome.storage.sync.get(LOCAL_SETTINGS);
+    if (Object.keys(syncedRules).length > 0) {
+      Object.assign(settings, syncedRules, await chrome.storage.local.get(LOCAL_SETTINGS));
+      await chrome.storage.sync.remove(LOCAL_SETTINGS);
+    }
+
+    // Settings saved before media categories existed carry a filterMode instead
+    const legacy = await chrome.storage.sync.get(['filterMode', 'mediaCategories']);
+    if (legacy.filterMode) {
+      if (!legacy.mediaCategories) {
+        settings.mediaCategories = migrateFilterMode(legacy.filterMode);
+      }
+      await chrome.storage.sync.remove('filterMode');
+    }
+
+    const areas = splitSettings(settings);
+    await chrome.storage.sync.set(areas.sync);
+    await chrome.storage.local.set(areas.local);
     return settings;
   }
 
   async get(key) {
-    const result = await chrome.storage.sync.get(key);
+    const result = await chrome.storage[getSettingArea(key)].get(key);
     return result[key];
   }
 
   async set(key, value) {
-    await chrome.storage.sync.set({ [key]: value });
+    // Checked here so the options page can say what is too large instead of a generic failure
+    const sizeError = getSettingSizeError(key, value);
+    if (sizeError) {
+      throw new Error(sizeError);
+    }
+    await chrome.storage[getSettingArea(key)].set({ [key]: value });
   }
 
   async getAll() {
-    return await chrome.storage.sync.get(this.defaultSettings);
+    const defaults = splitSettings(this.defaultSettings);
+    return {
+      ...await chrome.storage.sync.get(defaults.sync),
+      ...await chrome.storage.local.get(defaults.local)
+    };
   }
 
   async reset() {
     await chrome.storage.sync.clear();
+    // storage.local also holds stats, caches and image lists; only the settings go
+    await chrome.storage.local.remove(LOCAL_SETTINGS);
     return await this.init();
   }
 
@@ -217,20 +493,30 @@ class SettingsManager {
 class FilterController {
   constructor() {
     this.activeFilters = new Map();
+    this.ruleErrorsKey = 'xsafe_rule_errors';
   }
 
   async updateRules(settings) {
     // Build filter rules based on settings
     const rules = {
       enabled: settings.enabled,
-      filterVideos: ['videos', 'both'].includes(settings.filterMode),
-      filterImages: ['images', 'both'].includes(settings.filterMode),
+      mediaCategories: settings.mediaCategories,
       intensity: settings.intensityLevel,
+      classifierEnabled: settings.classifierEnabled,
       showPlaceholders: settings.showPlaceholders,
       showClickToReveal: settings.showClickToReveal,
+      hideStyle: settings.hideStyle,
+      blurStrength: settings.blurStrength,
+      gifHandling: settings.gifHandling,
+      videoHandling: settings.videoHandling,
+      evaluationMargin: settings.evaluationMargin,
       whitelistedDomains: settings.whitelistedDomains,
       blacklistedDomains: settings.blacklistedDomains,
-      customRules: settings.customRules
+      customRules: settings.customRules,
+      accountRules: settings.accountRules,
+      keywordRules: settings.keywordRules,
+      mediaSourceRules: settings.mediaSourceRules,
+      mastodonInstances: settings.mastodonInstances
     };
 
     return rules;
@@ -239,6 +525,317 @@ class FilterController {
   getActiveFilters() {
     return Array.from(this.activeFilters.entries());
   }
+
+  async getRuleErrors() {
+    const result = await chrome.storage.local.get(this.ruleErrorsKey);
+    return result[this.ruleErrorsKey] || {};
+  }
+
+  async recordRuleError(data) {
+    // Keyed by selector so every tab reporting the same rule stores it once
+    const errors = await this.getRuleErrors();
+    errors[data.selector] = { error: data.error, reportedAt: Date.now() };
+    await chrome.storage.local.set({ [this.ruleErrorsKey]: errors });
+  }
+
+  async pruneRuleErrors(customRules) {
+    // Drop errors for selectors that were edited or removed
+    const selectors = (customRules || []).map(rule => rule.selector && rule.selector.trim());
+    const errors = await this.getRuleErrors();
+
+    Object.keys(errors).forEach(selector => {
+      if (!selectors.includes(selector)) {
+        delete errors[selector];
+      }
+    });
+
+    await chrome.storage.local.set({ [this.ruleErrorsKey]: errors });
+  }
+}
+
+/**
+ * Classifier Bridge
+ * Owns the offscreen document that runs the on-device image classifier
+ */
+class ClassifierBridge {
+  constructor(cache, hashLists) {
+    this.cache = cache;
+    this.hashLists = hashLists;
+    this.documentPath = 'offscreen.html';
+    this.creating = null;
+    this.pending = new Map(); // normalized URL -> in-flight analysis
+  }
+
+  async ensureDocument() {
+    const documentUrl = chrome.runtime.getURL(this.documentPath);
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [documentUrl]
+    });
+
+    if (contexts.length > 0) {
+      return;
+    }
+
+    // Concurrent requests must share a single createDocument call
+    if (!this.creating) {
+      this.creating = chrome.offscreen.createDocument({
+        url: this.documentPath,
+        reasons: ['BLOBS'],
+        justification: 'Classify and fingerprint images locally, off the page main thread'
+      }).finally(() => {
+        this.creating = null;
+      });
+    }
+
+    await this.creating;
+  }
+
+  /**
+   * Verdict for a media URL: hash lists first, then (if requested) the classifier.
+   * Cached hashes are re-matched on every lookup, so list edits apply without
+   * invalidating the cache.
+   */
+  async analyze(url, { classify = true } = {}) {
+    const key = normalizeMediaUrl(url);
+    if (!key) {
+      throw new Error('Unsupported media URL');
+    }
+
+    const cached = await this.cache.get(key);
+    if (cached && cached.hash && (!classify || typeof cached.score === 'number')) {
+      return { ...await this.resolveVerdict(cached.hash, classify ? cached.score : null), cached: true };
+    }
+
+    // The same media often shows up several times on one timeline
+    const pendingKey = `${key}|${classify}`;
+    if (!this.pending.has(pendingKey)) {
+      this.pending.set(pendingKey, this.runAnalysis(key, url, classify).finally(() => {
+        this.pending.delete(pendingKey);
+      }));
+    }
+    return this.pending.get(pendingKey);
+  }
+
+  async runAnalysis(key, url, classify) {
+    await this.ensureDocument();
+
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'ANALYZE_IMAGE',
+      url: url,
+      classify: classify
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response from classifier');
+    }
+
+    const result = await this.resolveVerdict(response.data.hash, response.data.score);
+    await this.cache.set(key, result);
+
+    return { ...result, cached: false };
+  }
+
+  async resolveVerdict(hash, score) {
+    const match = await this.hashLists.match(hash);
+
+    if (match) {
+      const blocked = match.list === 'blocked';
+      return {
+        verdict: blocked ? 'unsafe' : 'safe',
+        score: typeof score === 'number' ? score : null,
+        source: blocked ? 'blocklist' : 'allowlist',
+        hash: hash
+      };
+    }
+
+    if (typeof score !== 'number') {
+      return { verdict: 'unknown', score: null, source: 'none', hash: hash };
+    }
+
+    return {
+      verdict: score >= UNSAFE_VERDICT_SCORE ? 'unsafe' : 'safe',
+      score: score,
+      source: 'classifier',
+      hash: hash
+    };
+  }
+}
+
+/**
+ * Hash List Manager
+ * User-managed perceptual hashes of images to always or never hide
+ */
+class HashListManager {
+  constructor() {
+    this.storageKey = 'xsafe_hash_lists';
+  }
+
+  async getAll() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return { blocked: [], allowed: [], ...result[this.storageKey] };
+  }
+
+  async getStatus() {
+    const lists = await this.getAll();
+    return { blocked: lists.blocked.length, allowed: lists.allowed.length };
+  }
+
+  async add(list, entries) {
+    const lists = await this.getAll();
+    let added = 0;
+    let invalid = 0;
+
+    entries.forEach(entry => {
+      const hash = normalizeHash(entry && entry.hash);
+      if (!isValidHash(hash)) {
+        invalid++;
+        return;
+      }
+
+      // A hash lives in one list at a time; the latest choice wins
+      HASH_LISTS.forEach(name => {
+        lists[name] = lists[name].filter(existing => existing.hash !== hash);
+      });
+
+      lists[list].push({
+        hash: hash,
+        label: entry.label || '',
+        addedAt: entry.addedAt || Date.now()
+      });
+      added++;
+    });
+
+    await chrome.storage.local.set({ [this.storageKey]: lists });
+    return { added, invalid };
+  }
+
+  async remove(list, hash) {
+    const lists = await this.getAll();
+    lists[list] = lists[list].filter(entry => entry.hash !== normalizeHash(hash));
+    await chrome.storage.local.set({ [this.storageKey]: lists });
+  }
+
+  async match(hash) {
+    if (!isValidHash(hash)) {
+      return null;
+    }
+    return findHashMatch(hash, await this.getAll());
+  }
+}
+
+/**
+ * Classification Cache
+ * IndexedDB store of verdicts keyed by normalized media URL, evicted least recently used first
+ */
+class ClassificationCache {
+  constructor() {
+    this.dbName = 'xsafe';
+    this.storeName = 'classifications';
+    this.maxEntries = 5000;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'url' });
+          store.createIndex('lastUsed', 'lastUsed');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Allow a retry on the next lookup
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      let result;
+
+      callback(transaction.objectStore(this.storeName), value => {
+        result = value;
+      });
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async get(url) {
+    try {
+      return await this.run('readwrite', (store, setResult) => {
+        const request = store.get(url);
+        request.onsuccess = () => {
+          const entry = request.result;
+          if (entry) {
+            entry.lastUsed = Date.now();
+            store.put(entry);
+          }
+          setResult(entry || null);
+        };
+      });
+    } catch (error) {
+      // A broken cache must never block filtering
+      console.warn('[XSafe] Classification cache lookup failed:', error);
+      return null;
+    }
+  }
+
+  async set(url, result) {
+    try {
+      await this.run('readwrite', store => {
+        store.put({
+          url: url,
+          hash: result.hash,
+          verdict: result.verdict,
+          score: result.score,
+          source: result.source,
+          lastUsed: Date.now()
+        });
+      });
+      await this.evict();
+    } catch (error) {
+      console.warn('[XSafe] Failed to cache classification:', error);
+    }
+  }
+
+  evict() {
+    return this.run('readwrite', store => {
+      const countRequest = store.count();
+
+      countRequest.onsuccess = () => {
+        if (countRequest.result <= this.maxEntries) {
+          return;
+        }
+
+        // Trim a little below the limit so we don't evict on every write
+        let excess = countRequest.result - Math.floor(this.maxEntries * 0.9);
+        const cursorRequest = store.index('lastUsed').openCursor();
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor && excess > 0) {
+            cursor.delete();
+            excess--;
+            cursor.continue();
+          }
+        };
+      };
+    });
+  }
 }
 
 /**
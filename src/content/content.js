@@ -3,18 +3,179 @@
  * Handles DOM scanning, content filtering, and element replacement
  */
 
+import { getSiteAdapter } from '../adapters';
+import { xAdapter } from '../adapters/x';
+import {
+  DEFAULT_BLUR_STRENGTH,
+  getHideStyleFilter,
+  injectPixelateFilter,
+  removePixelateFilter
+} from '../utils/hide-styles';
+import { findAccountRule } from '../utils/account-rules';
+import { matchesAnyDomainPattern, matchesDomainPattern } from '../utils/domain-patterns';
+import { ELEMENT_ID_ATTRIBUTE, ElementRegistry } from '../utils/element-registry';
+import { compileKeywordRules, findKeywordRule } from '../utils/keyword-rules';
+import {
+  IMAGE_CATEGORIES,
+  INTENSITY_CATEGORIES,
+  VIDEO_CATEGORIES,
+  getMediaCategories
+} from '../utils/media-categories';
+import { normalizeMediaUrl } from '../utils/media-url';
+
+/**
+ * What each intensity level hides, by media context (the same names as the media category
+ * toggles, which decide whether a context is filtered at all). `categories` comes from
+ * utils/media-categories.js, which the options page also reads to disable toggles a level ignores.
+ * - strict: everything, including GIFs, link-card images, profile banners and avatars inside posts. Media the
+ *   site flagged stays hidden even after the user clicks through the site's own warning.
+ * - moderate: photos, videos and embedded players in posts
+ * - permissive: only media the site itself has flagged as sensitive
+ * With on-device analysis enabled, unflagged classifiable media in those contexts is only
+ * kept hidden when its unsafe score reaches the level's threshold; the site's flag always
+ * outranks the classifier. Blacklisted domains always use the strict policy.
+ */
+const INTENSITY_POLICIES = {
+  strict: {
+    categories: INTENSITY_CATEGORIES.strict,
+    sensitiveOnly: false, keepSensitiveHidden: true, threshold: 0.4
+  },
+  moderate: {
+    categories: INTENSITY_CATEGORIES.moderate,
+    sensitiveOnly: false, keepSensitiveHidden: false, threshold: 0.6
+  },
+  permissive: {
+    categories: INTENSITY_CATEGORIES.permissive,
+    sensitiveOnly: true, keepSensitiveHidden: false, threshold: null
+  }
+};
+
+// Why an element is hidden, for attributing hides in page stats
+const SENSITIVE_REASON = 'sensitive';
+
+// Placeholders, post stubs and controls XSafe adds to the page
+const OWN_ELEMENT_SELECTOR = '.xsafe-placeholder, .xsafe-post-stub, .xsafe-rehide-button, .xsafe-paused-video';
+
+// Media events that can start playback or sound, caught on the way down to any <video> inside
+const PLAYBACK_EVENTS = ['loadstart', 'play'];
+
+// A play starting this soon (ms) after a click or key press on a paused player is the user's own
+const USER_PLAY_WINDOW = 1000;
+const USER_PLAY_EVENTS = ['pointerdown', 'keydown'];
+
+// HTMLMediaElement.readyState once the current frame can be drawn
+const HAVE_CURRENT_DATA = 2;
+
+// How far ahead of the viewport (px) media is evaluated; offscreen media stays pre-hidden until then
+const DEFAULT_EVALUATION_MARGIN = 1000;
+
+// Set on media once XSafe has decided whether to hide it; the pre-hide stylesheet keys off it
+const DECIDED_ATTRIBUTE = 'data-xsafe-checked';
+
+// Attributes sites swap when they lazy-load or recycle media elements. Not `style`: X's
+// virtualized timeline rewrites every cell's transform while scrolling.
+const OBSERVED_ATTRIBUTES = ['src', 'srcset', 'poster'];
+
+// The stylesheet that keeps undecided media invisible
+const PREHIDE_STYLE_ID = 'xsafe-prehide-css';
+
+/**
+ * Hide media matching the selectors until XSafe has decided on it
+ */
+function writePrehideStyles(selectors) {
+  let style = document.getElementById(PREHIDE_STYLE_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = PREHIDE_STYLE_ID;
+    // At document_start there is no <head> yet; <html> is the one element that always exists
+    document.documentElement.appendChild(style);
+  }
+
+  // visibility keeps the layout stable, so nothing jumps once media is revealed
+  const undecided = selectors.map(selector => `${selector}:not([${DECIDED_ATTRIBUTE}])`);
+  style.textContent = `${undecided.join(',\n')} {\n  visibility: hidden !important;\n}\n`;
+}
+
+function isExcludedPage(settings, site) {
+  // Patterns may include paths, so this follows X's in-app navigation
+  if (matchesAnyDomainPattern(settings.whitelistedDomains, window.location)) {
+    return true;
+  }
+
+  // The generic adapter runs for the blacklist alone; the rest of the host is left untouched
+  return Boolean(site.blacklistOnly) &&
+    !matchesAnyDomainPattern(settings.blacklistedDomains, window.location);
+}
+
+/**
+ * Selectors for the media the pre-hide stylesheet keeps invisible, none when the page isn't filtered
+ */
+function getPrehideSelectors(settings, site) {
+  if (!settings || !settings.enabled || isExcludedPage(settings, site)) {
+    return [];
+  }
+
+  const categories = getMediaCategories(settings);
+  const selectors = [];
+  if (VIDEO_CATEGORIES.some(category => categories[category])) {
+    selectors.push(...site.videoSelectors);
+  }
+  if (IMAGE_CATEGORIES.some(category => categories[category])) {
+    selectors.push(...site.imageSelectors);
+  }
+  return selectors;
+}
+
+/**
+ * Pre-hide media as soon as stored settings say this page is filtered, long before the filter
+ * itself waits out the DOM and the background. Storage is read directly since GET_SETTINGS may
+ * have to wake the background first. Nothing is hidden until it answers, so a disabled or
+ * whitelisted page never has its media hidden.
+ */
+async function injectStoredPrehideStyles() {
+  let cached;
+  try {
+    cached = await chrome.storage.sync.get([
+      // filterMode only matters for settings saved before media categories existed
+      'enabled', 'mediaCategories', 'filterMode', 'whitelistedDomains', 'blacklistedDomains', 'mastodonInstances'
+    ]);
+  } catch (error) {
+    console.warn('[XSafe] Failed to read cached settings:', error);
+    return;
+  }
+
+  const settings = { enabled: true, whitelistedDomains: [], blacklistedDomains: [], ...cached };
+  // The instance list is stored, so Mastodon instances and blacklisted sites get their own selectors
+  const site = getSiteAdapter(window.location.hostname, settings) || xAdapter;
+  const selectors = getPrehideSelectors(settings, site);
+  if (selectors.length > 0) {
+    writePrehideStyles(selectors);
+  }
+}
+
 class XSafeContentFilter {
   constructor() {
+    this.site = null;
+    this.resolveSite();
     this.settings = null;
-    this.observer = null;
+    this.observer = null; // IntersectionObserver that evaluates media as it nears the viewport
+    this.observerMargin = null;
     this.mutationObserver = null;
-    this.filteredElements = new Set();
+    this.filteredElements = new ElementRegistry(); // Hidden elements, held weakly so X can discard them
+    this.revealedElements = new WeakSet(); // Elements the user chose to reveal
     this.isFiltering = false;
-    this.uiElementCache = new Map(); // Cache UI element detection results
-    this.maxFilteredElements = 200; // Prevent memory leaks
     this.lastScanTime = 0;
     this.scanCooldown = 2000; // Minimum 2 seconds between scans
-    this.elementCounter = 0; // For unique IDs
+    this.customRuleErrors = new Map(); // Invalid custom selectors, reported once each
+    this.keywordRules = { source: null, compiled: [] }; // Keyword rules compiled from settings.keywordRules
+    this.classifications = new Map(); // Normalized media URL -> verdict, mirrors the background cache
+    this.pendingClassifications = new Map(); // Normalized media URL -> elements awaiting its verdict
+    this.maxClassifications = 1000;
+    this.hashListStatus = { blocked: 0, allowed: 0 }; // Sizes of the "always/never hide" image lists
+    this.sensitiveMedia = new Set(); // Normalized URLs of media the site has flagged, most recent last
+    this.postStubs = new Set(); // One-line stubs standing in for hidden posts
+    this.lastLocation = window.location.href; // URL whitelist/blacklist patterns were last applied to
+    this.placeholderCSSInserted = false;
 
     this.init();
   }
@@ -27,8 +188,13 @@ class XSafeContentFilter {
 
     // Request initial settings and start immediately if enabled
     await this.requestSettings();
+    await this.requestHashListStatus();
+    this.resolveSite(this.settings);
 
-    // Start immediately if settings are available and enabled
+    // Start immediately if settings are available and enabled. The stored-settings stylesheet
+    // goes in first so it can't replace the one for the background's newer settings.
+    await prehideInjection;
+    this.updatePrehideStyles(this.settings);
     this.startIfEnabled();
 
     // Single delayed startup for dynamic content (reduced from multiple attempts)
@@ -37,413 +203,1628 @@ class XSafeContentFilter {
     }, 2000);
   }
 
-  startIfEnabled() {
-    // Start content filtering if enabled
-    if (this.settings && this.settings.enabled) {
-      console.log('[XSafe] Starting filtering...');
-      this.startFiltering();
+  resolveSite(settings) {
+    // Scripts are only registered on adapter hosts; anywhere else (e.g. a saved copy) behave as on X.
+    // User-added hosts such as Mastodon instances are only known once settings are read.
+    this.site = getSiteAdapter(window.location.hostname, settings || {}) || xAdapter;
+  }
+
+  startIfEnabled() {
+    // Start content filtering if enabled
+    if (this.settings && this.settings.enabled) {
+      console.log('[XSafe] Starting filtering...');
+      this.startFiltering();
+    }
+  }
+
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      this.handleMessage(message, sender, sendResponse);
+      return true;
+    });
+  }
+
+  async requestSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+      if (response.success) {
+        this.settings = response.data;
+      }
+    } catch (error) {
+      console.error('[XSafe] Failed to get settings:', error);
+    }
+  }
+
+  async requestHashListStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_HASH_LIST_STATUS' });
+      if (response && response.success && response.data) {
+        this.hashListStatus = response.data;
+      }
+    } catch (error) {
+      console.error('[XSafe] Failed to get hash list status:', error);
+    }
+  }
+
+  async handleMessage(message, sender, sendResponse) {
+    switch (message.type) {
+    case 'UPDATE_FILTERS':
+      this.applySettings(message.settings);
+      sendResponse({ success: true });
+      break;
+
+    case 'HASH_LISTS_UPDATED':
+      this.applyHashListStatus(message.data);
+      sendResponse({ success: true });
+      break;
+
+    case 'GET_PAGE_STATS':
+      // Media hidden on this page right now, per type and for the site's own flags, for the popup
+      sendResponse({ success: true, data: this.filteredElements.counts() });
+      break;
+    }
+  }
+
+  applyHashListStatus(status) {
+    this.hashListStatus = status || { blocked: 0, allowed: 0 };
+
+    // Verdicts may have come from list entries that just changed; the background
+    // re-matches cached hashes, so asking again is cheap
+    this.classifications.clear();
+
+    if (this.settings && this.settings.enabled) {
+      this.lastScanTime = 0;
+      this.reevaluateFilteredElements();
+      this.scanExistingContent();
+    }
+  }
+
+  applySettings(settings) {
+    const previousSettings = this.settings || {};
+    this.settings = settings;
+    this.customRuleErrors.clear();
+    this.resolveSite(settings);
+    this.updatePrehideStyles(settings);
+
+    if (!this.settings.enabled) {
+      this.stopFiltering();
+      return;
+    }
+
+    if (previousSettings.classifierEnabled !== this.settings.classifierEnabled) {
+      this.classifications.clear();
+    }
+
+    // Bypass the scan cooldown so setting changes show up immediately
+    this.lastScanTime = 0;
+    this.reevaluateFilteredElements();
+
+    // Queued media is re-observed by the scan below
+    if (this.isFiltering && this.observerMargin !== this.getEvaluationMargin()) {
+      this.setupIntersectionObserver();
+    }
+
+    // Re-apply hiding to existing media when only its presentation changed
+    const presentationKeys = ['hideStyle', 'blurStrength', 'showPlaceholders', 'showClickToReveal', 'gifHandling',
+      'videoHandling'];
+    if (presentationKeys.some(key => previousSettings[key] !== this.settings[key])) {
+      this.refreshFilteredElements();
+    }
+
+    this.startFiltering();
+
+    // Single immediate re-scan (removed timeout)
+    this.scanExistingContent();
+  }
+
+  startFiltering() {
+    // Avoid duplicate setup
+    if (this.isFiltering) {
+      this.scanExistingContent();
+      return;
+    }
+
+    this.isFiltering = true;
+
+    // Initial scan of existing content
+    this.scanExistingContent();
+
+    // Set up observers for dynamic content (only if not already set up)
+    this.setupObservers();
+
+    // Styles for placeholders and reveal controls
+    this.injectPlaceholderCSS();
+  }
+
+  stopFiltering() {
+    console.log('[XSafe] Stopping content filtering...');
+
+    this.isFiltering = false;
+
+    // Disconnect observers
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    // Restore filtered elements and clear memory
+    this.removePrehideStyles();
+    this.restoreAllElements();
+    this.cleanup();
+  }
+
+  cleanup() {
+    // Clear caches and sets to prevent memory leaks
+    this.filteredElements.clear();
+    this.filteredElements.clearMemos();
+
+    // Remove placeholders whose media was detached by X before it could be restored
+    document.querySelectorAll('.xsafe-placeholder').forEach(placeholder => placeholder.remove());
+    this.removePlaceholderCSS();
+
+    // Clean up any remaining container markers
+    const markedElements = document.querySelectorAll(
+      `[data-xsafe-container-child], [${ELEMENT_ID_ATTRIBUTE}], [${DECIDED_ATTRIBUTE}]`
+    );
+    markedElements.forEach(element => {
+      element.removeAttribute('data-xsafe-container-child');
+      element.removeAttribute(ELEMENT_ID_ATTRIBUTE);
+      element.removeAttribute(DECIDED_ATTRIBUTE);
+    });
+  }
+
+  scanExistingContent() {
+    const now = Date.now();
+    if (now - this.lastScanTime < this.scanCooldown) {
+      return; // Skip if too soon
+    }
+
+    this.lastScanTime = now;
+    const startTime = performance.now();
+
+    // Full scans only run on start and settings changes; new content arrives through the observer
+    this.scanSubtree(document);
+
+    const processingTime = performance.now() - startTime;
+    // Reduced logging - only log slow scans
+    if (processingTime > 100) {
+      console.log('[XSafe] Slow scan completed in', processingTime, 'ms');
+    }
+  }
+
+  setupObservers() {
+    this.setupIntersectionObserver();
+
+    // The site's root holds every layer media can appear in; it may not have rendered yet
+    const root = document.querySelector(this.site.rootSelector) || document.body;
+
+    this.mutationObserver = new MutationObserver(mutations => {
+      this.processMutations(mutations);
+    });
+
+    this.mutationObserver.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: OBSERVED_ATTRIBUTES
+    });
+  }
+
+  setupIntersectionObserver() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    // Without IntersectionObserver every element is evaluated as soon as it is found
+    if (typeof IntersectionObserver === 'undefined') {
+      return;
+    }
+
+    this.observerMargin = this.getEvaluationMargin();
+    this.observer = new IntersectionObserver(entries => {
+      this.processIntersections(entries);
+    }, {
+      rootMargin: `${this.observerMargin}px 0px`
+    });
+  }
+
+  getEvaluationMargin() {
+    const margin = this.settings && this.settings.evaluationMargin;
+    return typeof margin === 'number' && margin >= 0 ? margin : DEFAULT_EVALUATION_MARGIN;
+  }
+
+  processIntersections(entries) {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) {
+        return;
+      }
+
+      this.observer.unobserve(entry.target);
+      if (!entry.target.isConnected) {
+        return;
+      }
+
+      try {
+        this.evaluateMediaElement(entry.target);
+      } catch (error) {
+        console.warn('[XSafe] Error processing element:', entry.target, error);
+      }
+    });
+  }
+
+  processMutations(mutations) {
+    // Runs before the next paint, so new media is hidden without a visible flash.
+    // Cost scales with what was added, not with the size of the timeline.
+    this.checkLocationChange();
+    this.syncPostStubs();
+    const roots = new Set();
+
+    mutations.forEach(mutation => {
+      if (mutation.type === 'attributes') {
+        // Handled elements keep their verdict unless the site reused them for other media
+        this.forgetRecycledMedia(mutation.target);
+        if (!this.isHandled(mutation.target)) {
+          roots.add(mutation.target);
+        }
+      } else {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            roots.add(node);
+          }
+        });
+      }
+    });
+
+    roots.forEach(root => {
+      if (root.isConnected && !this.isOwnElement(root) && !this.hasAncestorIn(root, roots)) {
+        this.scanSubtree(root);
+      }
+    });
+  }
+
+  hasAncestorIn(element, elements) {
+    // A subtree scan of the ancestor already covers this element
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+      if (elements.has(parent)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  isOwnElement(element) {
+    return Boolean(element.closest && element.closest(OWN_ELEMENT_SELECTOR));
+  }
+
+  scanSubtree(root) {
+    const selector = this.getScanSelector();
+    const elements = [];
+
+    // Post text may render after the post itself; its post is checked again when it does
+    const post = this.hasPostRules() && root !== document && root.parentElement &&
+      root.parentElement.closest(this.site.postSelector);
+    if (post) {
+      elements.push(post);
+    }
+
+    if (root !== document && root.matches && root.matches(selector)) {
+      elements.push(root);
+    }
+    if (root.querySelectorAll) {
+      elements.push(...root.querySelectorAll(selector));
+    }
+
+    // Document order, so a video player is handled before the <video> inside it
+    elements.forEach(element => {
+      try {
+        this.processElement(element);
+      } catch (error) {
+        console.warn('[XSafe] Error processing element:', element, error);
+      }
+    });
+  }
+
+  getScanSelector() {
+    const selectors = this.getMediaSelectors();
+
+    selectors.push(...this.getProfileMediaSelectors());
+
+    // User-defined selectors apply regardless of filter mode
+    selectors.push(...this.getCustomRuleSelectors());
+
+    if (this.hasPostRules()) {
+      selectors.push(this.site.postSelector);
+    }
+
+    return selectors.join(', ');
+  }
+
+  processElement(element) {
+    if (this.hasPostRules() && element.matches(this.site.postSelector)) {
+      this.filterPost(element);
+      return;
+    }
+
+    this.processMediaElement(element);
+
+    if (!this.isHandled(element)) {
+      const ruleSelector = this.getCustomRuleSelectors().find(selector => element.matches(selector));
+      if (ruleSelector) {
+        this.filterCustomRuleElement(element, ruleSelector);
+      }
+    }
+  }
+
+  processMediaElement(element) {
+    // Custom rules share the combined selector, so elements may arrive here that only a rule matched
+    if (!this.isMediaSelectorMatch(element)) {
+      return;
+    }
+
+    // Offscreen media waits, pre-hidden, until it nears the viewport. Media that was already
+    // decided (a recycled element with a new src) is re-checked right away so it never shows unchecked.
+    if (this.observer && !element.hasAttribute(DECIDED_ATTRIBUTE)) {
+      this.observer.observe(element);
+      return;
+    }
+
+    this.evaluateMediaElement(element);
+  }
+
+  evaluateMediaElement(element) {
+    // Sites filtered by size can't measure an image until it loads; it stays pre-hidden until then.
+    // A broken image is complete too, and is decided on whatever size it shows at.
+    if (this.site.minMediaSize && element.tagName === 'IMG' && !element.complete) {
+      const settle = () => {
+        element.removeEventListener('load', settle);
+        element.removeEventListener('error', settle);
+        this.evaluateMediaElement(element);
+      };
+      element.addEventListener('load', settle, { once: true });
+      element.addEventListener('error', settle, { once: true });
+      return;
+    }
+
+    const tagName = element.tagName;
+    const isVideo = tagName === 'VIDEO' || tagName === 'IFRAME' || element.matches(this.site.videoContainerSelector);
+    const isImage = tagName === 'IMG' || Boolean(element.style.backgroundImage);
+
+    if ((isVideo || isImage) && this.isCategoryEnabled(this.getMediaContext(element, isVideo ? 'video' : 'image'))) {
+      this.filterMediaElement(element, isVideo);
+    }
+
+    // Decided either way: hidden media stays hidden through replaceElement, the rest may show
+    element.setAttribute(DECIDED_ATTRIBUTE, '');
+  }
+
+  filterMediaElement(element, isVideo) {
+    if (this.isInsideFilteredContainer(element) || this.isBelowMediaSize(element)) {
+      return;
+    }
+
+    if (isVideo) {
+      this.filterVideo(element);
+      return;
+    }
+
+    // Double-check this isn't a UI element (avatar, etc.) unless the policy hides avatars or banners
+    const policy = this.getIntensityPolicy(element);
+    const isPolicyProfileMedia = (policy.categories.includes('avatar') && this.isAvatar(element)) ||
+      (policy.categories.includes('banner') && this.isBanner(element));
+    if (!isPolicyProfileMedia && this.isUIElement(element)) {
+      return;
+    }
+
+    if (element.tagName === 'IMG') {
+      this.filterImage(element);
+    } else {
+      this.filterBackgroundImage(element);
+    }
+  }
+
+  getMediaSelectors() {
+    return [...this.site.videoSelectors, ...this.site.imageSelectors];
+  }
+
+  isMediaSelectorMatch(element) {
+    const profileSelectors = this.getProfileMediaSelectors();
+    return element.matches(this.getMediaSelectors().join(', ')) ||
+      (profileSelectors.length > 0 && element.matches(profileSelectors.join(', ')));
+  }
+
+  getProfileMediaSelectors() {
+    // Avatars and banners pass for page chrome, so they are only scanned when they would be hidden
+    const policy = this.getIntensityPolicy();
+    const selectors = [];
+
+    if (policy.categories.includes('avatar') && this.isCategoryEnabled('avatar')) {
+      selectors.push(...this.site.avatarSelectors);
+    }
+    if (policy.categories.includes('banner') && this.isCategoryEnabled('banner')) {
+      selectors.push(...this.site.bannerSelectors);
+    }
+    return selectors;
+  }
+
+  isCategoryEnabled(category) {
+    return getMediaCategories(this.settings)[category] !== false;
+  }
+
+  /**
+   * Selectors of enabled custom rules. Rules with `hidePost` hide the post around what they
+   * match instead of the element itself, and are kept apart from the rest.
+   */
+  getCustomRuleSelectors(hidePost = false) {
+    return this.getCustomRules(hidePost).map(rule => rule.selector.trim());
+  }
+
+  getCustomRules(hidePost = false) {
+    const rules = (this.settings && this.settings.customRules) || [];
+
+    return rules
+      .filter(rule => rule && rule.enabled !== false && typeof rule.selector === 'string' && rule.selector.trim())
+      .filter(rule => Boolean(rule.hidePost) === hidePost)
+      .filter(rule => this.isValidCustomSelector(rule.selector.trim()));
+  }
+
+  isValidCustomSelector(selector) {
+    if (this.customRuleErrors.has(selector)) {
+      return false;
+    }
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      this.reportCustomRuleError(selector, error);
+      return false;
+    }
+  }
+
+  reportCustomRuleError(selector, error) {
+    console.warn('[XSafe] Invalid custom rule selector:', selector, error);
+    this.customRuleErrors.set(selector, error.message);
+
+    // Surface the problem on the options page instead of failing every scan
+    chrome.runtime.sendMessage({
+      type: 'CUSTOM_RULE_ERROR',
+      data: { selector, error: error.message }
+    }).catch(() => {
+      // Background may be restarting; the selector is re-reported on next load
+    });
+  }
+
+  filterCustomRuleElement(element, selector) {
+    if (this.isWhitelisted(element) || this.isHandled(element) || this.isInsideFilteredContainer(element)) {
+      return;
+    }
+
+    // Never let a broad selector swallow our own placeholders and controls
+    if (element.closest(OWN_ELEMENT_SELECTOR)) {
+      return;
+    }
+
+    this.replaceElement(element, 'custom', { ruleSelector: selector });
+  }
+
+  filterPost(post) {
+    this.forgetRecycledPost(post);
+
+    // X recycles post elements while scrolling, so a hidden post is re-checked when its content changes
+    if (this.filteredElements.getType(post) === 'post') {
+      const explanation = this.isWhitelisted(post) ? null : this.getPostHideExplanation(post);
+      if (explanation !== post._xsafeData.explanation) {
+        this.revealElement(post);
+        if (explanation) {
+          this.replaceElement(post, 'post', { explanation, postId: this.getPostId(post) });
+        }
+      }
+      return;
+    }
+
+    if (this.isWhitelisted(post) || this.isHandled(post) || this.isInsideFilteredContainer(post)) {
+      return;
+    }
+
+    const explanation = this.getPostHideExplanation(post);
+    if (explanation) {
+      this.replaceElement(post, 'post', { explanation, postId: this.getPostId(post) });
+    }
+  }
+
+  /**
+   * Why the post should collapse to a stub, for the stub's text, or null to leave it be
+   */
+  getPostHideExplanation(post) {
+    // An "always show" account keeps its posts, whatever they say
+    const accountRule = this.getAccountRule(post);
+    if (accountRule && accountRule.action === 'allow') {
+      return null;
+    }
+    if (accountRule && accountRule.hidePost) {
+      return `Posted by @${accountRule.handle}`;
+    }
+
+    const keywordRule = this.getKeywordRule(post, 'post');
+    if (keywordRule) {
+      return `Matches "${keywordRule.pattern}"`;
+    }
+
+    const customRule = this.getCustomRules(true).find(rule =>
+      post.matches(rule.selector.trim()) || post.querySelector(rule.selector.trim()));
+    if (customRule) {
+      return `Custom rule: ${(customRule.description || '').trim() || customRule.selector.trim()}`;
+    }
+
+    return null;
+  }
+
+  getPostId(post) {
+    return this.site.getPostId ? this.site.getPostId(post) : null;
+  }
+
+  forgetRecycledPost(post) {
+    // A post the user revealed may since have been reused for a different one
+    const data = post._xsafeData;
+    if (!this.revealedElements.has(post) || !data || data.type !== 'post' || !data.postId) {
+      return;
+    }
+
+    if (this.getPostId(post) !== data.postId) {
+      this.revealedElements.delete(post);
+      this.removeRehideButton(post);
+    }
+  }
+
+  getMediaSource(element) {
+    // Our hide styles never touch the background image, so it is safe to compare
+    const attributes = ['src', 'srcset', 'poster'].map(name => element.getAttribute(name) || '');
+    return [...attributes, element.style.backgroundImage].join(' ');
+  }
+
+  forgetRecycledMedia(element) {
+    // The verdict, the user's reveal and cached checks all belonged to the media it showed before
+    const data = element._xsafeData;
+    if (!this.isHandled(element) || !data || data.mediaSource === this.getMediaSource(element)) {
+      return;
+    }
+
+    if (this.filteredElements.has(element)) {
+      this.revealElement(element);
+    }
+    this.revealedElements.delete(element);
+    this.removeRehideButton(element);
+    this.filteredElements.clearMemos(element);
+  }
+
+  matchesCustomRule(element) {
+    return this.getCustomRuleSelectors().some(selector => element.matches(selector));
+  }
+
+  filterVideo(element) {
+    if (this.isWhitelisted(element) || this.isHandled(element)) {
+      return;
+    }
+
+    if (this.shouldFilter(element, 'video')) {
+      this.replaceElement(element, 'video', this.getHideDetails(element));
+    }
+    this.requestAnalysis(element);
+  }
+
+  filterImage(element) {
+    if (this.isWhitelisted(element) || this.isHandled(element)) {
+      return;
+    }
+
+    // Filter individual images only - preserve post structure
+    if (this.shouldFilter(element, 'image')) {
+      console.log('[XSafe] Hiding individual image element, preserving post content');
+      this.replaceElement(element, 'image', this.getHideDetails(element));
+    }
+    this.requestAnalysis(element);
+  }
+
+  filterBackgroundImage(element) {
+    if (this.isWhitelisted(element) || this.isHandled(element)) {
+      return;
+    }
+
+    if (this.shouldFilter(element, 'image')) {
+      this.replaceElement(element, 'image', this.getHideDetails(element));
+    }
+    this.requestAnalysis(element);
+  }
+
+  isHandled(element) {
+    return this.filteredElements.has(element) || this.revealedElements.has(element);
+  }
+
+  shouldFilter(element, type) {
+    const policy = this.getIntensityPolicy(element);
+    const classification = this.getClassification(element);
+
+    // Checked up front so the flag is remembered before the user can dismiss the site's warning
+    const isSensitive = this.isMarkedSensitive(element);
+
+    // The user's own image lists outrank every other signal
+    if (classification && classification.source === 'blocklist') {
+      return true;
+    }
+    if (classification && classification.source === 'allowlist') {
+      return false;
+    }
+
+    // Then the user's rules for who posted it...
+    const accountAction = this.getAccountAction(element);
+    if (accountAction) {
+      return accountAction === 'deny';
+    }
+
+    // ...what they wrote...
+    if (this.getKeywordRule(element, 'media')) {
+      return true;
+    }
+
+    // ...and for where the media itself comes from, whatever page it is on
+    const sourceAction = this.getMediaSourceAction(element);
+    if (sourceAction) {
+      return sourceAction === 'deny';
+    }
+
+    // Permissive leaves everything the site hasn't flagged alone
+    if (policy.sensitiveOnly && !isSensitive) {
+      return false;
+    }
+
+    if (!policy.categories.includes(this.getMediaContext(element, type))) {
+      return false;
+    }
+
+    // X's own flag outranks the classifier; unscored media stays hidden until scored
+    if (classification && classification.source === 'classifier' && !isSensitive) {
+      return classification.score >= policy.threshold;
+    }
+
+    return true;
+  }
+
+  getAccountAction(element) {
+    const rule = this.getAccountRule(element);
+    return rule ? rule.action : null;
+  }
+
+  getAccountRule(element) {
+    const rules = (this.settings && this.settings.accountRules) || [];
+    if (rules.length === 0) {
+      return null;
+    }
+
+    return findAccountRule(rules, this.getPostAuthor(element));
+  }
+
+  hasPostRules() {
+    const accountRules = (this.settings && this.settings.accountRules) || [];
+
+    return this.getKeywordRules().some(rule => rule.action === 'post') ||
+      accountRules.some(rule => rule && rule.action === 'deny' && rule.hidePost) ||
+      this.getCustomRules(true).length > 0;
+  }
+
+  getKeywordRules() {
+    // Only sites whose adapter knows where post text lives support keyword rules
+    const rules = (this.settings && this.settings.keywordRules) || [];
+    if (!this.site.postTextSelector) {
+      return [];
+    }
+
+    if (this.keywordRules.source !== rules) {
+      this.keywordRules = { source: rules, compiled: compileKeywordRules(rules) };
+    }
+    return this.keywordRules.compiled;
+  }
+
+  /**
+   * The first keyword rule with the given action that matches the text of the element's post
+   */
+  getKeywordRule(element, action) {
+    const rules = this.getKeywordRules().filter(rule => rule.action === action);
+    if (rules.length === 0) {
+      return null;
+    }
+
+    // Read fresh each time, like the author: the text changes when X recycles the post
+    const post = element.closest(this.site.postSelector);
+    if (!post) {
+      return null;
+    }
+
+    const text = Array.from(post.querySelectorAll(this.site.postTextSelector))
+      .map(textElement => textElement.textContent)
+      .join('\n');
+    const scope = this.site.getPostScope ? this.site.getPostScope(post, window.location) : 'timeline';
+    return findKeywordRule(rules, text, scope);
+  }
+
+  getPostAuthor(element) {
+    // Read fresh each time: X recycles post elements for other authors while scrolling
+    const post = element.closest(this.site.postSelector);
+    return post ? this.site.getAuthor(post) : null;
+  }
+
+  getMediaSourceAction(element) {
+    const rules = ((this.settings && this.settings.mediaSourceRules) || []).filter(rule => rule && rule.pattern);
+    if (rules.length === 0) {
+      return null;
+    }
+
+    // The most specific matching pattern wins; deny wins a tie
+    const urls = this.getMediaSourceUrls(element);
+    let best = null;
+    rules.forEach(rule => {
+      if (!urls.some(url => matchesDomainPattern(rule.pattern, url))) {
+        return;
+      }
+      const specificity = rule.pattern.replace(/\*/g, '').length;
+      if (!best || specificity > best.specificity || (specificity === best.specificity && rule.action === 'deny')) {
+        best = { action: rule.action, specificity };
+      }
+    });
+
+    return best ? best.action : null;
+  }
+
+  getMediaSourceUrls(element) {
+    // A player wrapper stands for the media inside it
+    const isMedia = ['IMG', 'VIDEO', 'IFRAME'].includes(element.tagName) || Boolean(element.style.backgroundImage);
+    const media = isMedia ? element : element.querySelector('video, iframe, img') || element;
+
+    const urls = [this.getClassifiableUrl(media)];
+    if (media.tagName === 'VIDEO' || media.tagName === 'IFRAME') {
+      urls.push(media.currentSrc || media.src);
+      media.querySelectorAll('source[src]').forEach(source => urls.push(source.src));
+    }
+
+    // Link card media also counts by where the card leads
+    const card = element.closest(this.site.cardSelector);
+    if (card) {
+      urls.push(this.getCardUrl(card));
+    }
+
+    return urls.filter(url => url && /^https?:/.test(url));
+  }
+
+  getCardUrl(card) {
+    if (this.site.getCardUrl) {
+      return this.site.getCardUrl(card);
+    }
+
+    const link = card.matches('a[href]') ? card : card.querySelector('a[href]') || card.closest('a[href]');
+    return link ? link.href : null;
+  }
+
+  hasHashLists() {
+    return this.hashListStatus.blocked > 0 || this.hashListStatus.allowed > 0;
+  }
+
+  canAnalyze(element) {
+    return (Boolean(this.settings.classifierEnabled) || this.hasHashLists()) &&
+      Boolean(this.getClassifiableUrl(element));
+  }
+
+  getClassifiableUrl(element) {
+    let url = null;
+
+    if (element.tagName === 'IMG') {
+      url = element.currentSrc || element.src;
+    } else if (element.tagName === 'VIDEO') {
+      // Videos and GIFs are judged by their poster frame
+      url = element.poster;
+    } else if (element.style && element.style.backgroundImage) {
+      const match = element.style.backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+      url = match ? match[1] : null;
+    }
+
+    return url && /^https?:/.test(url) ? url : null;
+  }
+
+  getClassificationKey(element) {
+    const url = this.getClassifiableUrl(element);
+    return url ? normalizeMediaUrl(url) : null;
+  }
+
+  getClassification(element) {
+    // Keyed by URL rather than element, since X recycles elements while scrolling
+    const key = this.getClassificationKey(element);
+    const classification = key ? this.classifications.get(key) : null;
+
+    if (!classification || (classification.source === 'classifier' && !this.settings.classifierEnabled)) {
+      return null;
+    }
+    return classification;
+  }
+
+  rememberClassification(key, classification) {
+    this.classifications.delete(key);
+    this.classifications.set(key, classification);
+
+    // Maps iterate in insertion order, so the first key is the least recently stored
+    if (this.classifications.size > this.maxClassifications) {
+      this.classifications.delete(this.classifications.keys().next().value);
+    }
+  }
+
+  requestAnalysis(element) {
+    if (!this.canAnalyze(element) || this.getClassification(element)) {
+      return;
+    }
+
+    const isHidden = this.filteredElements.has(element);
+
+    // Visible media only needs a verdict when it could be on the "always hide" list
+    if (!isHidden && !this.hashListStatus.blocked) {
+      return;
+    }
+
+    // X's own flag already settles hidden media unless a list entry could override it
+    if (isHidden && this.isMarkedSensitive(element) && !this.hasHashLists()) {
+      return;
+    }
+
+    const url = this.getClassifiableUrl(element);
+    const key = normalizeMediaUrl(url);
+    if (!key) {
+      return;
+    }
+
+    if (isHidden) {
+      element._xsafeData.verdict = 'pending';
+    }
+
+    // Other copies of this media wait on the request already in flight
+    if (this.pendingClassifications.has(key)) {
+      this.pendingClassifications.get(key).add(element);
+      return;
+    }
+    this.pendingClassifications.set(key, new Set([element]));
+
+    chrome.runtime.sendMessage({
+      type: 'CLASSIFY_MEDIA',
+      data: { url, classify: Boolean(this.settings.classifierEnabled) }
+    })
+      .then(response => this.applyClassification(key, response))
+      .catch(error => {
+        // Fail closed: media stays hidden when the classifier is unavailable
+        console.warn('[XSafe] Classification request failed:', error);
+      })
+      .finally(() => {
+        this.pendingClassifications.delete(key);
+      });
+  }
+
+  applyClassification(key, response) {
+    if (!response || !response.success) {
+      console.warn('[XSafe] Classifier unavailable, keeping media hidden:', response && response.error);
+      return;
+    }
+
+    const { verdict, score, source } = response.data;
+    this.rememberClassification(key, { verdict, score, source });
+
+    // Every copy of this media gets the same verdict; the user or a settings
+    // change may also have revealed some while we waited
+    const waiting = this.pendingClassifications.get(key) || new Set();
+    const elements = new Set([...this.filteredElements.elements(), ...waiting]);
+
+    elements.forEach(element => {
+      if (this.getClassificationKey(element) !== key) {
+        return;
+      }
+
+      if (!this.filteredElements.has(element)) {
+        // Visible media that turned out to be on the "always hide" list
+        if (element.isConnected) {
+          this.refilterElement(element);
+        }
+      } else if (this.shouldStayFiltered(element)) {
+        element._xsafeData.verdict = verdict;
+        element._xsafeData.score = score;
+        element._xsafeData.source = source;
+      } else {
+        this.revealElement(element);
+      }
+    });
+  }
+
+  refilterElement(element) {
+    const isVideo = element.tagName === 'VIDEO';
+    if (!this.isCategoryEnabled(this.getMediaContext(element, isVideo ? 'video' : 'image'))) {
+      return;
+    }
+
+    if (isVideo) {
+      this.filterVideo(element);
+    } else if (element.tagName === 'IMG') {
+      this.filterImage(element);
+    } else {
+      this.filterBackgroundImage(element);
+    }
+  }
+
+  getIntensityPolicy(element) {
+    // Blacklisted domains are always filtered strictly
+    if (this.isBlacklisted(element)) {
+      return INTENSITY_POLICIES.strict;
+    }
+    return INTENSITY_POLICIES[this.settings.intensityLevel] || INTENSITY_POLICIES.moderate;
+  }
+
+  getMediaContext(element, type) {
+    if (element.closest(this.site.cardSelector)) {
+      return 'card';
+    }
+    if (element.tagName === 'IFRAME') {
+      return 'embed';
+    }
+    if (this.isAvatar(element)) {
+      return 'avatar';
+    }
+    if (this.isBanner(element)) {
+      return 'banner';
+    }
+
+    const mediaKind = this.getMediaKind(element, type);
+    return mediaKind === 'image' ? 'photo' : mediaKind;
+  }
+
+  isAvatar(element) {
+    const src = element.src || '';
+    return this.site.avatarUrlPattern.test(src) || Boolean(element.closest(this.site.avatarContainerSelector));
+  }
+
+  isBanner(element) {
+    const pattern = this.site.bannerUrlPattern;
+    const src = element.src || element.style.backgroundImage || '';
+    return Boolean(pattern && pattern.test(src)) ||
+      (this.site.bannerSelectors.length > 0 && element.matches(this.site.bannerSelectors.join(', ')));
+  }
+
+  isMarkedSensitive(element) {
+    const key = this.getClassificationKey(element);
+
+    if (this.hasSensitiveMarker(element)) {
+      this.rememberSensitiveMedia(key);
+      return true;
+    }
+
+    // Clicking "Show" on X's warning drops the marker; strict keeps the media hidden anyway
+    return Boolean(key) && this.sensitiveMedia.has(key) && this.getIntensityPolicy(element).keepSensitiveHidden;
+  }
+
+  hasSensitiveMarker(element) {
+    const selector = this.site.sensitiveMediaSelector;
+
+    // Some sites flag the post element itself (e.g. Reddit's NSFW posts)
+    const post = element.closest(this.site.postSelector);
+    if (post && ((post.matches(selector) && this.isSiteMarker(post)) ||
+        Array.from(post.querySelectorAll(selector)).some(marker => this.isSiteMarker(marker)))) {
+      return true;
+    }
+
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+      if (parent.matches(selector) && this.isSiteMarker(parent)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  isSiteMarker(marker) {
+    // XSafe's own blur is an inline `filter: blur(...)` too, the same as X's marker
+    return !marker.hasAttribute(ELEMENT_ID_ATTRIBUTE) && !this.isOwnElement(marker);
+  }
+
+  rememberSensitiveMedia(key) {
+    if (!key) {
+      return;
+    }
+
+    // Keyed by URL like classifications, since X re-renders the media once its warning is dismissed
+    this.sensitiveMedia.delete(key);
+    this.sensitiveMedia.add(key);
+    if (this.sensitiveMedia.size > this.maxClassifications) {
+      this.sensitiveMedia.delete(this.sensitiveMedia.values().next().value);
+    }
+  }
+
+  getHideDetails(element) {
+    return this.isMarkedSensitive(element) ? { reason: SENSITIVE_REASON } : {};
+  }
+
+  reevaluateFilteredElements() {
+    // Reveal anything the current settings no longer hide (e.g. after lowering the intensity)
+    this.filteredElements.forEach(element => {
+      if (!this.shouldStayFiltered(element)) {
+        this.revealElement(element);
+      } else if (element._xsafeData && !['custom', 'post'].includes(element._xsafeData.type)) {
+        this.requestAnalysis(element);
+      }
+    });
+  }
+
+  shouldStayFiltered(element) {
+    const type = element._xsafeData ? element._xsafeData.type : 'image';
+
+    if (this.isWhitelisted(element)) {
+      return false;
+    }
+
+    if (type === 'custom') {
+      return this.matchesCustomRule(element);
+    }
+    if (type === 'post') {
+      return Boolean(this.getPostHideExplanation(element));
+    }
+
+    return this.isCategoryEnabled(this.getMediaContext(element, type)) && this.shouldFilter(element, type);
+  }
+
+  isWhitelisted(element) {
+    return this.isPageExcluded(this.settings);
+  }
+
+  isBlacklisted(element) {
+    return matchesAnyDomainPattern(this.settings.blacklistedDomains, window.location);
+  }
+
+  isPageExcluded(settings) {
+    return isExcludedPage(settings, this.site);
+  }
+
+  checkLocationChange() {
+    if (this.lastLocation === window.location.href) {
+      return;
     }
-  }
 
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse);
-      return true;
-    });
+    // X navigates without reloading; a path pattern may now include or exclude this page
+    this.lastLocation = window.location.href;
+    if (this.settings) {
+      this.updatePrehideStyles(this.settings);
+      this.reevaluateFilteredElements();
+    }
   }
 
-  async requestSettings() {
+  replaceElement(element, type, details = {}) {
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
-      if (response.success) {
-        this.settings = response.data;
+      // Validate element is still in DOM and has a parent
+      if (!element || !element.parentNode || !document.contains(element)) {
+        console.warn('[XSafe] Cannot replace element - not in DOM or no parent');
+        return;
       }
-    } catch (error) {
-      console.error('[XSafe] Failed to get settings:', error);
-    }
-  }
 
-  async handleMessage(message, sender, sendResponse) {
-    switch (message.type) {
-    case 'UPDATE_FILTERS':
-      this.settings = message.settings;
+      // Measure before hiding so the placeholder can keep the same footprint
+      const rect = element.getBoundingClientRect();
+
+      // Register for restoration; the registry also stamps the element's data-xsafe-id
+      const elementId = this.filteredElements.add(element, type, details.reason);
+
+      // Store original element data for potential restoration.
+      // The whole style attribute is kept so reveal restores it exactly, whatever the hide style.
+      const originalData = {
+        element: element,
+        type: type,
+        originalStyle: element.getAttribute('style'),
+        originalParent: element.parentNode,
+        originalNextSibling: element.nextSibling,
+        elementId: elementId,
+        mediaSource: this.getMediaSource(element),
+        details: details,
+        ...details
+      };
 
-      if (this.settings.enabled) {
-        this.startFiltering();
+      // GIFs may stop on their first frame instead; the still takes the hide style
+      const frozen = type === 'video' && this.shouldFreezeGif(element);
+      originalData.frozen = frozen;
+
+      // Videos may stay in view, paused and muted with their poster, instead of being hidden
+      const paused = !frozen && type === 'video' && this.shouldPauseVideo(element);
+      originalData.paused = paused;
+
+      if (paused) {
+        console.log('[XSafe] Pausing', type, 'element', elementId);
       } else {
-        this.stopFiltering();
+        // Posts always collapse to their stub; blurring a whole post would keep it just as tall
+        const hideStyle = type === 'post' || frozen ? 'hide' : this.getHideStyle();
+        console.log('[XSafe] Hiding', type, 'element with style', hideStyle, elementId);
+        this.applyHideStyle(element, hideStyle);
       }
 
-      // Single immediate re-scan (removed timeout)
-      if (this.settings.enabled) {
-        this.scanExistingContent();
-      }
+      element._xsafeData = originalData;
 
-      sendResponse({ success: true });
-      break;
+      element._xsafePlaceholder = null;
+
+      if (type === 'post') {
+        this.createPostStub(element, details.explanation);
+      } else if (frozen) {
+        this.createFrozenFrame(element, rect);
+      } else if (paused) {
+        this.pauseVideo(element);
+      } else if (this.settings && (this.settings.showPlaceholders || this.settings.showClickToReveal)) {
+        // Either setting needs an in-page box; without both the element just collapses
+        this.createPlaceholder(element, type, rect);
+      }
+    } catch (error) {
+      console.error('[XSafe] Error in replaceElement:', error);
     }
   }
 
-  startFiltering() {
-    // Avoid duplicate setup
-    if (this.isFiltering) {
-      this.scanExistingContent();
+  getHideStyle() {
+    return (this.settings && this.settings.hideStyle) || 'hide';
+  }
+
+  applyHideStyle(element, hideStyle) {
+    const filter = getHideStyleFilter(hideStyle, this.getBlurStrength());
+
+    if (!filter) {
+      element.style.display = 'none';
+      element.style.visibility = 'hidden';
       return;
     }
 
-    this.isFiltering = true;
+    if (hideStyle === 'pixelate') {
+      injectPixelateFilter(document, this.getBlurStrength());
+    }
 
-    // Initial scan of existing content
-    this.scanExistingContent();
+    // Visual styles keep the element in place so galleries don't jump
+    element.style.setProperty('filter', filter, 'important');
+    if (hideStyle === 'blur') {
+      // Stop the blur from bleeding outside the media box
+      element.style.setProperty('clip-path', 'inset(0)', 'important');
+    }
+  }
 
-    // Set up observers for dynamic content (only if not already set up)
-    this.setupObservers();
+  getGifHandling() {
+    const handling = this.settings && this.settings.gifHandling;
+    if (handling === 'hide' || handling === 'freeze') {
+      return handling;
+    }
 
-    // No more placeholder CSS injection needed
-    console.log('[XSafe] Using direct hiding approach - no placeholder setup needed');
+    // Until the user picks, follow the system's reduced-motion preference
+    const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return reducedMotion ? 'freeze' : 'hide';
+  }
 
-    // Set up much less frequent periodic scanning
-    this.setupPeriodicScanning();
+  shouldFreezeGif(element) {
+    return this.getGifHandling() === 'freeze' && this.getMediaKind(element, 'video') === 'gif' &&
+      Boolean(this.getVideo(element));
   }
 
-  setupPeriodicScanning() {
-    // Clear any existing interval to prevent memory leaks
-    if (this.periodicScanInterval) {
-      clearInterval(this.periodicScanInterval);
-      this.periodicScanInterval = null;
-    }
+  shouldPauseVideo(element) {
+    return Boolean(this.settings && this.settings.videoHandling === 'pause') &&
+      this.getMediaContext(element, 'video') === 'video' && Boolean(this.getVideo(element));
+  }
 
-    // Scan every 1 second for new content
-    this.periodicScanInterval = setInterval(() => {
-      if (this.settings && this.settings.enabled && this.canScan()) {
-        this.scanExistingContent();
-      }
-    }, 1000);
+  getVideo(element) {
+    // Players are hidden as a whole; the <video> inside is the one that plays
+    return element.tagName === 'VIDEO' ? element : element.querySelector('video');
   }
 
-  canScan() {
-    const now = Date.now();
-    if (now - this.lastScanTime < this.scanCooldown) {
-      return false; // Too soon since last scan
-    }
-    return true;
+  getBlurStrength() {
+    const strength = this.settings && Number(this.settings.blurStrength);
+    return strength > 0 ? strength : DEFAULT_BLUR_STRENGTH;
   }
 
-  stopFiltering() {
-    console.log('[XSafe] Stopping content filtering...');
+  createPlaceholder(element, type, rect) {
+    const mediaKind = this.getMediaKind(element, type);
+    const label = { image: 'Image', video: 'Video', gif: 'GIF', custom: 'Content' }[mediaKind];
 
-    this.isFiltering = false;
+    const placeholder = document.createElement('div');
+    placeholder.className = 'xsafe-placeholder';
+    placeholder.setAttribute('data-xsafe-placeholder', element.getAttribute(ELEMENT_ID_ATTRIBUTE));
+    placeholder.setAttribute('data-xsafe-media-kind', mediaKind);
 
-    // Disconnect observers
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
-    }
-    if (this.mutationObserver) {
-      this.mutationObserver.disconnect();
-      this.mutationObserver = null;
-    }
+    // Keep the hidden element's footprint so the layout does not collapse
+    placeholder.style.width = rect && rect.width ? `${Math.round(rect.width)}px` : '100%';
+    placeholder.style.height = rect && rect.height ? `${Math.round(rect.height)}px` : '100%';
 
-    // Clear periodic scanning
-    if (this.periodicScanInterval) {
-      clearInterval(this.periodicScanInterval);
-      this.periodicScanInterval = null;
+    if (this.getHideStyle() !== 'hide') {
+      // The element is still laid out, so sit on top of it instead of next to it
+      placeholder.classList.add('xsafe-placeholder-overlay');
+      placeholder.style.top = `${element.offsetTop}px`;
+      placeholder.style.left = `${element.offsetLeft}px`;
     }
 
-    // Restore filtered elements and clear memory
-    this.restoreAllElements();
-    this.cleanup();
-  }
+    if (this.settings.showPlaceholders) {
+      const icon = document.createElement('span');
+      icon.className = 'xsafe-placeholder-icon';
+      icon.textContent = { image: '🖼️', video: '🎥', gif: '🎞️', custom: '🚫' }[mediaKind];
 
-  cleanup() {
-    // Clear caches and sets to prevent memory leaks
-    this.filteredElements.clear();
-    this.uiElementCache.clear();
+      const text = document.createElement('span');
+      text.className = 'xsafe-placeholder-label';
+      text.textContent = `${label} hidden by XSafe`;
 
-    // Clean up any remaining container markers
-    const markedElements = document.querySelectorAll('[data-xsafe-container-child], [data-xsafe-id]');
-    markedElements.forEach(element => {
-      element.removeAttribute('data-xsafe-container-child');
-      element.removeAttribute('data-xsafe-id');
-    });
-  }
+      const count = document.createElement('span');
+      count.className = 'xsafe-placeholder-count';
 
-  scanExistingContent() {
-    const now = Date.now();
-    if (now - this.lastScanTime < this.scanCooldown) {
-      return; // Skip if too soon
+      placeholder.append(icon, text, count);
+    } else {
+      const text = document.createElement('span');
+      text.className = 'xsafe-placeholder-label';
+      text.textContent = '🛡️ Hidden by XSafe';
+      placeholder.appendChild(text);
     }
 
-    this.lastScanTime = now;
-    const startTime = performance.now();
+    if (this.settings.showClickToReveal) {
+      const hint = document.createElement('span');
+      hint.className = 'xsafe-placeholder-hint';
+      hint.textContent = 'Click to reveal';
+      placeholder.appendChild(hint);
 
-    // Clean up old filtered elements if too many
-    this.limitFilteredElements();
+      placeholder.classList.add('xsafe-placeholder-revealable');
+      placeholder.setAttribute('role', 'button');
+      placeholder.setAttribute('tabindex', '0');
+      placeholder.setAttribute('aria-label', `${label} hidden by XSafe - click to reveal`);
 
-    // Scan for content using optimized selectors
-    if (this.shouldFilterVideos()) {
-      this.scanForVideos(document);
+      this.onActivate(placeholder, () => this.revealByUser(element));
+    } else {
+      placeholder.setAttribute('role', 'img');
+      placeholder.setAttribute('aria-label', `${label} hidden by XSafe`);
     }
 
-    if (this.shouldFilterImages()) {
-      this.scanForImages(document);
+    element.parentNode.insertBefore(placeholder, element);
+    element._xsafePlaceholder = placeholder;
+
+    this.updatePlaceholderCounts(placeholder.closest(this.site.postSelector));
+    return placeholder;
+  }
+
+  getMediaKind(element, type) {
+    if (type === 'custom') {
+      return 'custom';
     }
 
-    const processingTime = performance.now() - startTime;
-    // Reduced logging - only log slow scans
-    if (processingTime > 100) {
-      console.log('[XSafe] Slow scan completed in', processingTime, 'ms');
+    // Sites may serve GIFs as looping <video> elements; the adapter knows their URLs or markup
+    const media = this.getVideo(element) || element;
+    const src = media.currentSrc || media.src || media.getAttribute('poster') || '';
+    if (this.site.gifUrlPattern.test(src) || /\.gif(\?|$)/i.test(src) ||
+        (this.site.gifSelector && media.matches(this.site.gifSelector))) {
+      return 'gif';
     }
+    return type === 'video' ? 'video' : 'image';
   }
 
-  limitFilteredElements() {
-    // Prevent memory leaks by limiting the number of filtered elements
-    if (this.filteredElements.size > this.maxFilteredElements) {
-      const elementsToRemove = this.filteredElements.size - this.maxFilteredElements;
-      const iterator = this.filteredElements.values();
+  /**
+   * A still of a hidden GIF's first frame, with a play button when click-to-reveal is on.
+   * The frame is drawn onto a canvas so the site restarting the loop can't animate it; the
+   * video's poster shows through until it is.
+   */
+  createFrozenFrame(element, rect) {
+    const video = this.getVideo(element);
+
+    const frame = document.createElement('div');
+    frame.className = 'xsafe-placeholder xsafe-frozen-gif';
+    frame.setAttribute('data-xsafe-placeholder', element.getAttribute(ELEMENT_ID_ATTRIBUTE));
+    frame.setAttribute('data-xsafe-media-kind', 'gif');
+    frame.style.width = rect && rect.width ? `${Math.round(rect.width)}px` : '100%';
+    frame.style.height = rect && rect.height ? `${Math.round(rect.height)}px` : '100%';
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'xsafe-frozen-gif-frame';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'GIF paused by XSafe');
+    const poster = video.getAttribute('poster');
+    if (poster) {
+      canvas.style.backgroundImage = `url("${poster}")`;
+    }
 
-      for (let i = 0; i < elementsToRemove; i++) {
-        const element = iterator.next().value;
-        // No more placeholders to remove - elements are just hidden
-        this.filteredElements.delete(element);
+    // Blur, pixelate and grayscale apply to the still; plain hiding shows it as is
+    const hideStyle = this.getHideStyle();
+    const filter = getHideStyleFilter(hideStyle, this.getBlurStrength());
+    if (filter) {
+      if (hideStyle === 'pixelate') {
+        injectPixelateFilter(document, this.getBlurStrength());
       }
+      canvas.style.filter = filter;
+    }
+    frame.appendChild(canvas);
+
+    if (this.settings.showClickToReveal) {
+      const play = document.createElement('button');
+      play.type = 'button';
+      play.className = 'xsafe-frozen-gif-play';
+      play.setAttribute('aria-label', 'Play GIF');
+      play.textContent = '▶';
+      this.onActivate(play, () => this.revealByUser(element));
+      frame.appendChild(play);
     }
-  }
 
-  setupObservers() {
-    // More efficient mutation observer - only watch main content area
-    const mainContentArea = document.querySelector('[data-testid="primaryColumn"]') || document.body;
+    // Sites restart looping GIFs on their own; keep this one still until it is revealed
+    const keepPaused = () => video.pause();
+    video.addEventListener('play', keepPaused);
+    element._xsafeData.keepPaused = keepPaused;
+    video.pause();
+    this.drawFirstFrame(video, canvas);
 
-    this.mutationObserver = new MutationObserver(
-      this.debounce(() => {
-        if (this.canScan()) {
-          this.scanNewContent();
-        }
-      }, 1000) // Increased debounce from 300ms to 1000ms
-    );
+    element.parentNode.insertBefore(frame, element);
+    element._xsafePlaceholder = frame;
 
-    this.mutationObserver.observe(mainContentArea, {
-      childList: true,
-      subtree: true
-    });
+    this.updatePlaceholderCounts(frame.closest(this.site.postSelector));
+    return frame;
   }
 
-  scanNewContent() {
-    // Only scan new content that hasn't been scanned
-    const addedNodes = document.querySelectorAll('*:not([data-xsafe-scanned])');
-    let scannedCount = 0;
+  drawFirstFrame(video, canvas) {
+    const draw = () => {
+      const context = video.videoWidth ? canvas.getContext('2d') : null;
+      if (!context) {
+        return;
+      }
 
-    addedNodes.forEach(node => {
-      if (scannedCount < 50) { // Limit processing to prevent overload
-        this.scanElement(node);
-        node.setAttribute('data-xsafe-scanned', 'true');
-        scannedCount++;
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      try {
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      } catch (error) {
+        console.warn('[XSafe] Could not draw GIF frame, keeping its poster:', error);
       }
-    });
-  }
+    };
 
-  scanElement(element) {
-    if (this.shouldFilterVideos()) {
-      this.checkForVideo(element);
-    }
-    if (this.shouldFilterImages()) {
-      this.checkForImage(element);
+    if (video.readyState < HAVE_CURRENT_DATA) {
+      video.addEventListener('loadeddata', draw, { once: true });
+    } else if (video.currentTime > 0) {
+      // Already looping: rewind to the first frame before drawing it
+      video.addEventListener('seeked', draw, { once: true });
+      video.currentTime = 0;
+    } else {
+      draw();
     }
   }
 
-  scanForVideos(container = document) {
-    // Optimized video selectors - combined for efficiency
-    const videoSelector = [
-      'video',
-      '[data-testid="videoPlayer"]',
-      '[data-testid="videoComponent"]',
-      'iframe[src*="youtube"], iframe[src*="youtu.be"], iframe[src*="vimeo"]'
-    ].join(', ');
+  unfreezeGif(element) {
+    const video = this.getVideo(element);
+    if (!video) {
+      return;
+    }
 
-    const elements = container.querySelectorAll(videoSelector);
-    elements.forEach(element => this.filterVideo(element));
+    video.removeEventListener('play', element._xsafeData.keepPaused);
+    this.playVideo(video);
   }
 
-  scanForImages(container = document) {
-    console.log('[XSafe] Starting granular image scan - targeting only media, preserving post content...');
-
-    // Focus on individual media elements, not entire containers
-    // This preserves post text while hiding only images/videos
-    this.scanForIndividualMedia(container);
-
-    console.log('[XSafe] Scan complete. Filtered elements:', this.filteredElements.size);
+  playVideo(video) {
+    const playing = video.play();
+    if (playing && playing.catch) {
+      // Autoplay policies may refuse; the site's own controls still work
+      playing.catch(() => {});
+    }
   }
 
-  scanForIndividualMedia(container = document) {
-    // Target specific media elements only, not their containers
-    const mediaSelectors = [
-      // Individual images in tweets - be very specific
-      '[data-testid="tweetPhoto"] img',
-      '[data-testid="media"] img:not([alt*="avatar"]):not([alt*="profile"])',
-
-      // Video elements
-      '[data-testid="videoPlayer"] video',
-      '[data-testid="videoComponent"] video',
-      'video',
+  /**
+   * Pause and mute a video player while leaving it, and its poster, on the page. Listeners on
+   * the player also catch <video> elements the site swaps in later, as X does on scroll, before
+   * they can autoplay. A play the user starts from the site's controls is let through. A "Paused
+   * by XSafe" badge sits over the player, with a play button when click-to-reveal is on.
+   */
+  pauseVideo(element) {
+    const data = element._xsafeData;
+    const silence = (event) => {
+      if (event.target.tagName !== 'VIDEO') {
+        return;
+      }
+      // The site's own controls still work, even without our play button
+      if (event.type === 'play' && Date.now() - data.userPlayAt < USER_PLAY_WINDOW) {
+        return;
+      }
+      this.silenceVideo(event.target);
+    };
+    const allowPlay = () => {
+      data.userPlayAt = Date.now();
+    };
+    PLAYBACK_EVENTS.forEach(eventName => element.addEventListener(eventName, silence, true));
+    USER_PLAY_EVENTS.forEach(eventName => element.addEventListener(eventName, allowPlay, true));
+    data.userPlayAt = -Infinity;
+    data.silence = silence;
+    data.allowPlay = allowPlay;
+
+    const videos = element.tagName === 'VIDEO' ? [element] : element.querySelectorAll('video');
+    videos.forEach(video => this.silenceVideo(video));
+
+    const badge = document.createElement('div');
+    badge.className = 'xsafe-paused-video';
+    badge.setAttribute('data-xsafe-placeholder', element.getAttribute(ELEMENT_ID_ATTRIBUTE));
+
+    const label = document.createElement('span');
+    label.textContent = '🔇 Paused by XSafe';
+    badge.appendChild(label);
+
+    if (this.settings.showClickToReveal) {
+      const play = document.createElement('button');
+      play.type = 'button';
+      play.className = 'xsafe-paused-video-play';
+      play.setAttribute('aria-label', 'Play video');
+      play.textContent = '▶ Play';
+      this.onActivate(play, () => this.revealByUser(element));
+      badge.appendChild(play);
+    }
 
-      // Card media images (but not the entire card)
-      '[data-testid="card.layoutLarge.media"] img',
-      '[data-testid="card.layoutSmall.media"] img',
+    element.parentNode.insertBefore(badge, element);
+    element._xsafePlaceholder = badge;
+    return badge;
+  }
 
-      // Photo grid images specifically
-      '[data-testid="photoGrid"] img',
+  silenceVideo(video) {
+    video.autoplay = false;
+    video.removeAttribute('autoplay');
+    video.muted = true;
+    video.pause();
+  }
 
-      // Media container images (but not the container itself)
-      '[data-testid="mediaContainer"] img',
-      '[data-testid="photoViewer"] img',
+  unpauseVideo(element) {
+    const { silence, allowPlay } = element._xsafeData;
+    PLAYBACK_EVENTS.forEach(eventName => element.removeEventListener(eventName, silence, true));
+    USER_PLAY_EVENTS.forEach(eventName => element.removeEventListener(eventName, allowPlay, true));
+  }
 
-      // Tweet images with Twitter domains
-      'article img[src*="pbs.twimg.com"]:not([alt*="avatar"]):not([alt*="profile"])',
-      'article img[src*="ton.twimg.com"]:not([alt*="avatar"]):not([alt*="profile"])',
-      'article img[src*="video.twimg.com"]',
+  /**
+   * A one-line stand-in for a hidden post: "Tweet hidden by XSafe — reason — Show".
+   * It sits right before the post, inside the same timeline cell, so the site's virtualized
+   * list measures a short cell instead of an empty gap.
+   */
+  createPostStub(post, explanation) {
+    const stub = document.createElement('div');
+    stub.className = 'xsafe-post-stub';
+    stub.setAttribute('data-xsafe-placeholder', post.getAttribute(ELEMENT_ID_ATTRIBUTE));
+    stub.setAttribute('role', 'note');
+
+    const label = document.createElement('span');
+    label.className = 'xsafe-post-stub-label';
+    label.textContent = `${this.site.postLabel || 'Post'} hidden by XSafe`;
+    stub.appendChild(label);
+
+    if (explanation) {
+      const reason = document.createElement('span');
+      reason.className = 'xsafe-post-stub-reason';
+      reason.textContent = explanation;
+      stub.append(' — ', reason);
+    }
 
-      // Background image divs within media contexts
-      '[data-testid="media"] div[style*="background-image"]',
-      '[data-testid="tweetPhoto"] div[style*="background-image"]',
+    if (this.settings.showClickToReveal) {
+      const show = document.createElement('button');
+      show.type = 'button';
+      show.className = 'xsafe-post-stub-show';
+      show.textContent = 'Show';
+      this.onActivate(show, () => this.revealByUser(post));
+      stub.append(' — ', show);
+    }
 
-      // iframe embeds (videos, external content)
-      'iframe[src*="youtube"]',
-      'iframe[src*="vimeo"]',
-      'iframe[src*="twimg"]'
-    ];
+    post.parentNode.insertBefore(stub, post);
+    post._xsafePlaceholder = stub;
+    stub._xsafePost = post;
+    this.postStubs.add(stub);
+    return stub;
+  }
 
-    mediaSelectors.forEach(selector => {
-      try {
-        const elements = container.querySelectorAll(selector);
-        console.log(`[XSafe] Found ${elements.length} elements for selector: ${selector}`);
-
-        elements.forEach(element => {
-          // Double-check this isn't a UI element (avatar, etc.)
-          if (!this.isUIElement(element) && !this.isInsideFilteredContainer(element)) {
-            console.log('[XSafe] Filtering individual media element:', element.tagName, element.src || 'no-src');
-
-            if (element.tagName === 'IMG') {
-              this.filterImage(element);
-            } else if (element.tagName === 'VIDEO' || element.tagName === 'IFRAME') {
-              this.filterVideo(element);
-            } else if (element.tagName === 'DIV' && element.style.backgroundImage) {
-              this.filterBackgroundImage(element);
-            }
-          }
-        });
-      } catch (error) {
-        console.warn('[XSafe] Error with media selector:', selector, error);
+  syncPostStubs() {
+    // Sites re-render timeline cells while scrolling: a stub must never outlive its post
+    // or be left above a different one
+    this.postStubs.forEach(stub => {
+      const post = stub._xsafePost;
+
+      if (!post.isConnected || post._xsafePlaceholder !== stub) {
+        stub.remove();
+        this.postStubs.delete(stub);
+      } else if (stub.nextSibling !== post) {
+        post.parentNode.insertBefore(stub, post);
       }
     });
   }
 
-  checkForVideo(element) {
-    const videoTags = ['VIDEO', 'IFRAME'];
-    if (videoTags.includes(element.tagName) ||
-        element.querySelector('video, iframe[src*="youtube"], iframe[src*="vimeo"]')) {
-      this.filterVideo(element);
+  updatePlaceholderCounts(post) {
+    if (!post) {
+      return;
     }
-  }
 
-  checkForImage(element) {
-    if (element.tagName === 'IMG' && !this.isUIElement(element)) {
-      this.filterImage(element);
-    }
+    // Number each placeholder within its post so users can tell how much was hidden
+    const placeholders = post.querySelectorAll('.xsafe-placeholder');
+    placeholders.forEach((placeholder, index) => {
+      const count = placeholder.querySelector('.xsafe-placeholder-count');
+      if (count) {
+        count.textContent = placeholders.length > 1 ? `${index + 1} of ${placeholders.length}` : '';
+      }
+    });
   }
 
-  filterVideo(element) {
-    if (this.isWhitelisted(element) || this.filteredElements.has(element)) {
-      return;
-    }
+  revealByUser(element) {
+    const type = element._xsafeData ? element._xsafeData.type : 'image';
+    const paused = Boolean(element._xsafeData && element._xsafeData.paused);
 
-    if (this.shouldFilter(element, 'video')) {
-      this.replaceElement(element, 'video');
-    }
-  }
+    this.revealElement(element);
 
-  filterImage(element) {
-    if (this.isWhitelisted(element) || this.filteredElements.has(element)) {
-      return;
+    // Asked for by the user, so a paused video starts, still muted until the site's controls say otherwise
+    const video = paused && this.getVideo(element);
+    if (video) {
+      this.playVideo(video);
     }
 
-    // Filter individual images only - preserve post structure
-    if (this.shouldFilter(element, 'image')) {
-      console.log('[XSafe] Hiding individual image element, preserving post content');
-      this.replaceElement(element, 'image');
-    }
+    // Remember the choice so later scans don't hide it again
+    this.revealedElements.add(element);
+    this.createRehideButton(element, type);
   }
 
-  filterBackgroundImage(element) {
-    if (this.isWhitelisted(element) || this.filteredElements.has(element)) {
-      return;
-    }
+  /**
+   * Run `action` when one of XSafe's controls is clicked, or activated from the keyboard
+   * when it isn't a native button. The event stops there so the site doesn't also open
+   * the post behind the control.
+   */
+  onActivate(control, action) {
+    const activate = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      action();
+    };
 
-    if (this.shouldFilter(element, 'image')) {
-      this.replaceElement(element, 'image');
+    control.addEventListener('click', activate);
+    if (control.tagName !== 'BUTTON') {
+      control.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          activate(event);
+        }
+      });
     }
   }
 
-  shouldFilter(element, type) {
-    // Check intensity level
-    if (this.settings.intensityLevel === 'permissive') {
-      return false;
-    }
-
-    // Check blacklisted domains
-    if (this.isBlacklisted(element)) {
-      return true;
+  createRehideButton(element, type) {
+    if (!element.parentNode) {
+      return null;
     }
 
-    return true;
-  }
+    const button = document.createElement('div');
+    button.className = 'xsafe-rehide-button';
+    button.setAttribute('role', 'button');
+    button.setAttribute('tabindex', '0');
+    button.setAttribute('aria-label', `Hide ${type} again`);
+    button.textContent = '🛡️ Hide';
 
-  isWhitelisted(element) {
-    const domain = window.location.hostname;
-    return this.settings.whitelistedDomains.includes(domain);
-  }
+    this.onActivate(button, () => this.rehideElement(element));
 
-  isBlacklisted(element) {
-    const domain = window.location.hostname;
-    return this.settings.blacklistedDomains.includes(domain);
+    element.parentNode.insertBefore(button, element);
+    element._xsafeRehideButton = button;
+    return button;
   }
 
-  replaceElement(element, type) {
-    try {
-      // Validate element is still in DOM and has a parent
-      if (!element || !element.parentNode || !document.contains(element)) {
-        console.warn('[XSafe] Cannot replace element - not in DOM or no parent');
-        return;
-      }
-
-      // Generate unique ID for this element for potential restoration
-      const elementId = `xsafe-${++this.elementCounter}`;
-      element.setAttribute('data-xsafe-id', elementId);
+  rehideElement(element) {
+    const { type, details } = element._xsafeData || { type: 'image', details: {} };
 
-      // Store original element data for potential restoration
-      const originalData = {
-        element: element,
-        type: type,
-        originalDisplay: element.style.display,
-        originalVisibility: element.style.visibility,
-        originalParent: element.parentNode,
-        originalNextSibling: element.nextSibling,
-        elementId: elementId
-      };
+    this.removeRehideButton(element);
+    this.revealedElements.delete(element);
+    this.replaceElement(element, type, details);
 
-      console.log('[XSafe] Hiding', type, 'element completely:', elementId);
+    // Move focus to the new placeholder so keyboard users stay in place
+    if (element._xsafePlaceholder && element._xsafePlaceholder.hasAttribute('tabindex')) {
+      element._xsafePlaceholder.focus();
+    }
+  }
 
-      // Simply hide the element completely - no placeholder
-      element.style.display = 'none';
-      element.style.visibility = 'hidden';
+  removePlaceholder(element) {
+    const placeholder = element._xsafePlaceholder;
+    if (!placeholder) {
+      return;
+    }
 
-      // Store for potential restoration
-      this.filteredElements.add(element);
-      element._xsafeData = originalData;
+    const post = placeholder.closest(this.site.postSelector);
+    placeholder.remove();
+    element._xsafePlaceholder = null;
+    this.postStubs.delete(placeholder);
+    this.updatePlaceholderCounts(post);
+  }
 
-      // No placeholder needed - element is just hidden
-      element._xsafePlaceholder = null;
-    } catch (error) {
-      console.error('[XSafe] Error in replaceElement:', error);
+  removeRehideButton(element) {
+    if (element._xsafeRehideButton) {
+      element._xsafeRehideButton.remove();
+      element._xsafeRehideButton = null;
     }
   }
 
@@ -459,11 +1840,14 @@ class XSafeContentFilter {
       });
     }
 
-    // Restore original element visibility
+    // Restore the original inline styles exactly
     if (element._xsafeData) {
       console.log('[XSafe] Restoring original element properties');
-      element.style.display = element._xsafeData.originalDisplay || '';
-      element.style.visibility = element._xsafeData.originalVisibility || '';
+      if (element._xsafeData.originalStyle === null) {
+        element.removeAttribute('style');
+      } else {
+        element.setAttribute('style', element._xsafeData.originalStyle);
+      }
     } else {
       // Fallback if data is missing
       console.log('[XSafe] Using fallback restoration (no saved data)');
@@ -471,11 +1855,19 @@ class XSafeContentFilter {
       element.style.visibility = '';
     }
 
-    // Clean up element attributes
-    element.removeAttribute('data-xsafe-id');
+    // Remove the placeholder, if any
+    this.removePlaceholder(element);
+
+    if (element._xsafeData && element._xsafeData.frozen) {
+      this.unfreezeGif(element);
+    }
+    if (element._xsafeData && element._xsafeData.paused) {
+      this.unpauseVideo(element);
+    }
 
-    // Remove from filtered set
+    // Forget the element; the attribute goes too, even on elements we no longer track
     this.filteredElements.delete(element);
+    element.removeAttribute(ELEMENT_ID_ATTRIBUTE);
 
     console.log('[XSafe] Element revealed successfully');
   }
@@ -484,76 +1876,108 @@ class XSafeContentFilter {
     this.filteredElements.forEach(element => {
       this.revealElement(element);
     });
+
+    // Hidden by an earlier copy of this script (e.g. before an extension update), whose data is gone
+    document.querySelectorAll(`[${ELEMENT_ID_ATTRIBUTE}]`).forEach(element => {
+      this.revealElement(element);
+    });
     this.filteredElements.clear();
+
+    // Drop any "Hide" buttons left on user-revealed elements
+    document.querySelectorAll('.xsafe-rehide-button').forEach(button => button.remove());
+    this.revealedElements = new WeakSet();
   }
 
-  shouldFilterVideos() {
-    return ['videos', 'both'].includes(this.settings.filterMode);
+  injectPlaceholderCSS() {
+    if (this.placeholderCSSInserted) {
+      return;
+    }
+
+    // The background inserts placeholder.css, so it never has to be readable by the page
+    this.placeholderCSSInserted = true;
+    chrome.runtime.sendMessage({ type: 'INSERT_PLACEHOLDER_CSS' }).catch(error => {
+      console.warn('[XSafe] Failed to insert placeholder styles:', error);
+      this.placeholderCSSInserted = false;
+    });
   }
 
-  shouldFilterImages() {
-    return ['images', 'both'].includes(this.settings.filterMode);
+  updatePrehideStyles(settings) {
+    const selectors = this.getPrehideSelectors(settings);
+    if (selectors.length === 0) {
+      this.removePrehideStyles();
+      return;
+    }
+
+    writePrehideStyles(selectors);
   }
 
-  injectPlaceholderCSS() {
-    // No longer needed - we're not using placeholders
-    console.log('[XSafe] Placeholder CSS injection skipped - using direct hiding approach');
+  getPrehideSelectors(settings) {
+    return getPrehideSelectors(settings, this.site);
   }
 
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+  removePrehideStyles() {
+    const style = document.getElementById(PREHIDE_STYLE_ID);
+    if (style) {
+      style.remove();
+    }
   }
 
-  isUIElement(element) {
-    // Use cache to avoid repeated expensive checks
-    const cacheKey = element.src || element.outerHTML.substring(0, 100);
-    if (this.uiElementCache.has(cacheKey)) {
-      return this.uiElementCache.get(cacheKey);
+  removePlaceholderCSS() {
+    if (this.placeholderCSSInserted) {
+      this.placeholderCSSInserted = false;
+      chrome.runtime.sendMessage({ type: 'REMOVE_PLACEHOLDER_CSS' }).catch(() => {
+        // Background may be restarting; the styles only apply to XSafe's own elements
+      });
     }
+    removePixelateFilter(document);
+  }
 
-    let isUI = false;
+  refreshFilteredElements() {
+    // Re-hide everything so a new hide style or placeholder option applies to existing media
+    this.filteredElements.forEach(element => {
+      const { type, details } = element._xsafeData || { type: 'image', details: {} };
+      this.revealElement(element);
+      this.replaceElement(element, type, details);
+    });
+  }
 
-    try {
-      // Quick checks for common UI elements with safe property access
-      const dataTestId = element.getAttribute('data-testid');
-      const altText = element.getAttribute('alt');
-
-      if ((dataTestId && dataTestId.includes('avatar')) ||
-          (altText && typeof altText === 'string' && altText.toLowerCase().includes('avatar')) ||
-          (altText && typeof altText === 'string' && altText.toLowerCase().includes('profile'))) {
-        isUI = true;
-      }
+  isUIElement(element) {
+    // Cached per element for as long as it lives, so repeated scans skip the layout read
+    return Boolean(this.filteredElements.memo(element, 'isUI', () => {
+      try {
+        // Quick checks for common UI elements with safe property access
+        const dataTestId = element.getAttribute('data-testid');
+        const altText = element.getAttribute('alt');
+
+        if ((dataTestId && dataTestId.includes('avatar')) ||
+            (altText && typeof altText === 'string' && altText.toLowerCase().includes('avatar')) ||
+            (altText && typeof altText === 'string' && altText.toLowerCase().includes('profile'))) {
+          return true;
+        }
 
-      // Size-based check - very small images are likely UI (with error handling)
-      else {
+        // Size-based check - very small images are likely UI (with error handling)
         const rect = element.getBoundingClientRect();
-        if (rect && rect.width < 80 && rect.height < 80) {
-          isUI = true;
+        if (!rect || (rect.width === 0 && rect.height === 0)) {
+          // Not loaded or laid out yet: treat as media for now, and measure again next time
+          return undefined;
         }
+        return rect.width < 80 && rect.height < 80;
+      } catch (error) {
+        console.warn('[XSafe] Error in isUIElement:', error);
+        return false; // Default to not UI element if error occurs
       }
+    }));
+  }
 
-      // Cache the result
-      this.uiElementCache.set(cacheKey, isUI);
-
-      // Limit cache size to prevent memory leaks
-      if (this.uiElementCache.size > 500) {
-        const firstKey = this.uiElementCache.keys().next().value;
-        this.uiElementCache.delete(firstKey);
-      }
-
-      return isUI;
-    } catch (error) {
-      console.warn('[XSafe] Error in isUIElement:', error);
-      return false; // Default to not UI element if error occurs
+  isBelowMediaSize(element) {
+    // Only the generic adapter sets a minimum; site adapters' selectors already target media
+    const minSize = this.site.minMediaSize;
+    if (!minSize) {
+      return false;
     }
+
+    const rect = element.getBoundingClientRect();
+    return rect.width < minSize.width || rect.height < minSize.height;
   }
 
   isInsideFilteredContainer(element) {
@@ -564,7 +1988,7 @@ class XSafeContentFilter {
         return true;
       }
       // Also check for our container markers
-      if (parent.hasAttribute('data-xsafe-id')) {
+      if (parent.hasAttribute(ELEMENT_ID_ATTRIBUTE)) {
         return true;
       }
       parent = parent.parentElement;
@@ -608,7 +2032,7 @@ class XSafeContentFilter {
     }
 
     // Skip navigation and UI containers
-    if (containerElement.closest('[role="navigation"], [data-testid="sidebarColumn"], header, nav')) {
+    if (containerElement.closest(this.site.uiSelector)) {
       return false;
     }
 
@@ -616,6 +2040,11 @@ class XSafeContentFilter {
   }
 }
 
+export { XSafeContentFilter };
+
+// Started as the script runs, so the stylesheet is in place before the first paint
+const prehideInjection = injectStoredPrehideStyles();
+
 // Initialize content filter when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
@@ -472,3 +472,1914 @@ describe('XSafeContentFilter', () => {
     });
   });
 });
+
+describe('XSafeContentFilter (content.js)', () => {
+  const { URL: NodeURL } = require('url');
+  const stubbedDocumentMethods = ['createElement', 'querySelector', 'querySelectorAll', 'getElementById'];
+  let savedStubs;
+  let mockedURL;
+  let ContentFilter;
+
+  const createFilter = (settings = {}) => {
+    const filter = new ContentFilter();
+    filter.settings = {
+      enabled: true,
+      filterMode: 'both',
+      intensityLevel: 'moderate',
+      showPlaceholders: false,
+      showClickToReveal: true,
+      whitelistedDomains: [],
+      blacklistedDomains: [],
+      customRules: [],
+      ...settings
+    };
+    return filter;
+  };
+
+  const addMedia = (tagName, src, parent = document.body) => {
+    const container = document.createElement('div');
+    const element = document.createElement(tagName);
+    element.src = src;
+    container.appendChild(element);
+    parent.appendChild(container);
+    return element;
+  };
+
+  const addImage = (parent) => addMedia('img', 'https://pbs.twimg.com/media/test.jpg', parent);
+
+  beforeEach(() => {
+    // tests/setup.js stubs these on the shared document; use jsdom's real DOM here
+    savedStubs = {};
+    stubbedDocumentMethods.forEach(method => {
+      savedStubs[method] = document[method];
+      delete document[method];
+    });
+
+    // ...and its URL mock cannot parse anything
+    mockedURL = global.URL;
+    global.URL = NodeURL;
+
+    // Fresh <body> so observers left behind by earlier tests don't fire
+    document.documentElement.replaceChild(document.createElement('body'), document.body);
+
+    ({ XSafeContentFilter: ContentFilter } = require('./content.js'));
+  });
+
+  afterEach(() => {
+    stubbedDocumentMethods.forEach(method => {
+      document[method] = savedStubs[method];
+    });
+    global.URL = mockedURL;
+  });
+
+  describe('Click-to-reveal overlay', () => {
+    it('should insert a focusable placeholder in place of the hidden element', () => {
+      const filter = createFilter();
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+
+      const placeholder = img.previousSibling;
+      expect(img.style.display).toBe('none');
+      expect(placeholder.className).toContain('xsafe-placeholder');
+      expect(placeholder.getAttribute('role')).toBe('button');
+      expect(placeholder.getAttribute('tabindex')).toBe('0');
+    });
+
+    it('should not insert a placeholder when placeholders and click-to-reveal are disabled', () => {
+      const filter = createFilter({ showClickToReveal: false, showPlaceholders: false });
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+
+      expect(img.previousSibling).toBeNull();
+      expect(img.style.display).toBe('none');
+    });
+
+    it('should reveal only the clicked element', () => {
+      const filter = createFilter();
+      const first = addImage();
+      const second = addImage();
+
+      filter.replaceElement(first, 'image');
+      filter.replaceElement(second, 'image');
+      first._xsafePlaceholder.click();
+
+      expect(first.style.display).toBe('');
+      expect(second.style.display).toBe('none');
+      expect(filter.filteredElements.has(first)).toBe(false);
+      expect(document.querySelectorAll('.xsafe-placeholder')).toHaveLength(1);
+    });
+
+    it('should reveal from the keyboard with Enter', () => {
+      const filter = createFilter();
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+      img._xsafePlaceholder.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+      expect(img.style.display).toBe('');
+    });
+
+    it('should not re-hide a revealed element on the next scan', () => {
+      const filter = createFilter();
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+      img._xsafePlaceholder.click();
+      filter.filterImage(img);
+
+      expect(img.style.display).toBe('');
+    });
+
+    it('should hide the element again from the rehide button', () => {
+      const filter = createFilter();
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+      img._xsafePlaceholder.click();
+      img._xsafeRehideButton.click();
+
+      expect(img.style.display).toBe('none');
+      expect(img._xsafeRehideButton).toBeNull();
+      expect(img.previousSibling.className).toContain('xsafe-placeholder');
+      expect(filter.filteredElements.has(img)).toBe(true);
+    });
+
+    it('should remove placeholders and rehide buttons when restoring all elements', () => {
+      const filter = createFilter();
+      const first = addImage();
+      const second = addImage();
+
+      filter.replaceElement(first, 'image');
+      filter.replaceElement(second, 'image');
+      first._xsafePlaceholder.click();
+      filter.restoreAllElements();
+
+      expect(document.querySelectorAll('.xsafe-placeholder')).toHaveLength(0);
+      expect(document.querySelectorAll('.xsafe-rehide-button')).toHaveLength(0);
+      expect(second.style.display).toBe('');
+    });
+  });
+
+  describe('Placeholders', () => {
+    it('should show the media type in the placeholder', () => {
+      const filter = createFilter({ showPlaceholders: true, showClickToReveal: false });
+      const video = addMedia('video', 'https://video.twimg.com/ext_tw_video/1/vid/720x1280/a.mp4');
+
+      filter.replaceElement(video, 'video');
+
+      const placeholder = video._xsafePlaceholder;
+      expect(placeholder.getAttribute('data-xsafe-media-kind')).toBe('video');
+      expect(placeholder.querySelector('.xsafe-placeholder-label').textContent).toBe('Video hidden by XSafe');
+      expect(placeholder.getAttribute('role')).toBe('img');
+      expect(placeholder.hasAttribute('tabindex')).toBe(false);
+    });
+
+    it('should detect GIFs served as looping videos', () => {
+      const filter = createFilter({ showPlaceholders: true });
+      const gif = addMedia('video', 'https://video.twimg.com/tweet_video/abc.mp4');
+
+      filter.replaceElement(gif, 'video');
+
+      expect(gif._xsafePlaceholder.getAttribute('data-xsafe-media-kind')).toBe('gif');
+      expect(gif._xsafePlaceholder.querySelector('.xsafe-placeholder-label').textContent).toBe('GIF hidden by XSafe');
+    });
+
+    it('should number placeholders within the same post', () => {
+      const filter = createFilter({ showPlaceholders: true });
+      const article = document.createElement('article');
+      document.body.appendChild(article);
+      const first = addImage(article);
+      const second = addImage(article);
+
+      filter.replaceElement(first, 'image');
+      filter.replaceElement(second, 'image');
+
+      const counts = article.querySelectorAll('.xsafe-placeholder-count');
+      expect(counts[0].textContent).toBe('1 of 2');
+      expect(counts[1].textContent).toBe('2 of 2');
+
+      filter.revealElement(first);
+
+      expect(second._xsafePlaceholder.querySelector('.xsafe-placeholder-count').textContent).toBe('');
+    });
+
+    it('should have the background insert placeholder.css once', () => {
+      const filter = createFilter();
+
+      filter.injectPlaceholderCSS();
+      filter.injectPlaceholderCSS();
+
+      const inserts = chrome.runtime.sendMessage.mock.calls.filter(([message]) => message.type === 'INSERT_PLACEHOLDER_CSS');
+      expect(inserts).toHaveLength(1);
+      expect(document.querySelector('link[href*="placeholder.css"]')).toBeNull();
+
+      filter.cleanup();
+    });
+
+    it('should tear down placeholders and the stylesheet on stop', () => {
+      const filter = createFilter({ showPlaceholders: true });
+      const img = addImage();
+
+      filter.injectPlaceholderCSS();
+      filter.replaceElement(img, 'image');
+      filter.stopFiltering();
+
+      expect(document.querySelectorAll('.xsafe-placeholder')).toHaveLength(0);
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'REMOVE_PLACEHOLDER_CSS' });
+      expect(img.style.display).toBe('');
+    });
+  });
+
+  describe('Intensity levels', () => {
+    const buildPost = () => {
+      const article = document.createElement('article');
+      article.innerHTML = `
+        <div data-testid="Tweet-User-Avatar"><img src="https://pbs.twimg.com/profile_images/1/a.jpg"></div>
+        <div data-testid="tweetPhoto"><img id="photo" src="https://pbs.twimg.com/media/a.jpg"></div>
+        <div data-testid="videoPlayer"><video id="video" src="https://video.twimg.com/ext_tw_video/1/a.mp4"></video></div>
+        <div data-testid="videoPlayer"><video id="gif" src="https://video.twimg.com/tweet_video/a.mp4"></video></div>
+        <div data-testid="card.layoutLarge.media"><img id="card" src="https://pbs.twimg.com/card_img/1/a.jpg"></div>
+      `;
+      document.body.appendChild(article);
+      return article;
+    };
+
+    const decisions = (filter) => ({
+      photo: filter.shouldFilter(document.getElementById('photo'), 'image'),
+      video: filter.shouldFilter(document.getElementById('video'), 'video'),
+      gif: filter.shouldFilter(document.getElementById('gif'), 'video'),
+      card: filter.shouldFilter(document.getElementById('card'), 'image'),
+      avatar: filter.shouldFilter(document.querySelector('[data-testid="Tweet-User-Avatar"] img'), 'image')
+    });
+
+    it('should hide every kind of media in strict mode', () => {
+      const filter = createFilter({ intensityLevel: 'strict' });
+      buildPost();
+
+      expect(decisions(filter)).toEqual({ photo: true, video: true, gif: true, card: true, avatar: true });
+    });
+
+    it('should hide only photos and videos in moderate mode', () => {
+      const filter = createFilter({ intensityLevel: 'moderate' });
+      buildPost();
+
+      expect(decisions(filter)).toEqual({ photo: true, video: true, gif: false, card: false, avatar: false });
+    });
+
+    it('should hide nothing unflagged in permissive mode', () => {
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      buildPost();
+
+      expect(decisions(filter)).toEqual({ photo: false, video: false, gif: false, card: false, avatar: false });
+    });
+
+    it('should hide media X flags as sensitive in permissive mode', () => {
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      const article = buildPost();
+      const warning = document.createElement('div');
+      warning.setAttribute('data-testid', 'sensitiveMediaWarning');
+      article.appendChild(warning);
+
+      expect(decisions(filter)).toEqual({ photo: true, video: true, gif: true, card: true, avatar: false });
+    });
+
+    it('should keep flagged media hidden in strict mode after X\'s warning is dismissed', () => {
+      const article = buildPost();
+      const warning = document.createElement('div');
+      warning.setAttribute('data-testid', 'sensitiveMediaWarning');
+      article.appendChild(warning);
+      const strict = createFilter({ intensityLevel: 'strict', classifierEnabled: true });
+      const moderate = createFilter({ intensityLevel: 'moderate', classifierEnabled: true });
+      const photo = document.getElementById('photo');
+      strict.shouldFilter(photo, 'image');
+      moderate.shouldFilter(photo, 'image');
+
+      // Clicking "Show" removes the warning; the classifier finds the photo safe
+      warning.remove();
+      const safe = { verdict: 'safe', score: 0.1, source: 'classifier' };
+      strict.rememberClassification(strict.getClassificationKey(photo), safe);
+      moderate.rememberClassification(moderate.getClassificationKey(photo), safe);
+
+      expect(strict.shouldFilter(photo, 'image')).toBe(true);
+      expect(moderate.shouldFilter(photo, 'image')).toBe(false);
+    });
+
+    it('should attribute hides of flagged media in page stats', () => {
+      const filter = createFilter({ intensityLevel: 'strict' });
+      const article = buildPost();
+      const warning = document.createElement('div');
+      warning.setAttribute('data-testid', 'sensitiveMediaWarning');
+      article.appendChild(warning);
+      const unflagged = addImage();
+      const sendResponse = jest.fn();
+
+      filter.filterImage(document.getElementById('photo'));
+      filter.filterImage(unflagged);
+      filter.handleMessage({ type: 'GET_PAGE_STATS' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({
+        success: true,
+        data: { total: 2, image: 2, reasons: { sensitive: 1 } }
+      });
+    });
+
+    it('should treat media in Reddit posts tagged NSFW as sensitive', () => {
+      const { redditAdapter } = require('../adapters/reddit');
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      filter.site = redditAdapter;
+      const post = document.createElement('shreddit-post');
+      post.innerHTML = '<div slot="post-media-container"><img id="nsfw" src="https://i.redd.it/a.jpg"></div>';
+      document.body.appendChild(post);
+      const img = document.getElementById('nsfw');
+
+      expect(filter.shouldFilter(img, 'image')).toBe(false);
+
+      post.setAttribute('nsfw', '');
+      expect(filter.shouldFilter(img, 'image')).toBe(true);
+    });
+
+    it('should treat media behind a Bluesky content warning as sensitive', () => {
+      const { blueskyAdapter } = require('../adapters/bluesky');
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      filter.site = blueskyAdapter;
+      const post = document.createElement('div');
+      post.setAttribute('data-testid', 'feedItem-by-alice.bsky.social');
+      post.innerHTML = '<div data-testid="contentHider-embed"><img id="labeled" src="https://cdn.bsky.app/img/feed_thumbnail/a.jpg"></div>';
+      document.body.appendChild(post);
+
+      expect(filter.shouldFilter(document.getElementById('labeled'), 'image')).toBe(true);
+    });
+
+    it('should treat media in Mastodon posts with a content warning as sensitive', () => {
+      const { mastodonAdapter } = require('../adapters/mastodon');
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      filter.site = mastodonAdapter;
+      const post = document.createElement('div');
+      post.className = 'status';
+      post.innerHTML = `
+        <div class="status__content"></div>
+        <div class="media-gallery"><div class="media-gallery__item"><img id="toot" src="https://files.example/a.jpg"></div></div>
+      `;
+      document.body.appendChild(post);
+      const img = document.getElementById('toot');
+
+      expect(filter.shouldFilter(img, 'image')).toBe(false);
+
+      post.querySelector('.status__content').classList.add('status__content--with-spoiler');
+      expect(filter.shouldFilter(img, 'image')).toBe(true);
+    });
+
+    it('should switch to the Mastodon adapter once the instance is in settings', () => {
+      const filter = createFilter();
+      const instance = window.location.hostname;
+
+      filter.applySettings({ ...filter.settings, enabled: false, mastodonInstances: [instance] });
+
+      expect(filter.site.id).toBe('mastodon');
+    });
+
+    it('should apply the strict policy on blacklisted domains', () => {
+      const filter = createFilter({ intensityLevel: 'permissive', blacklistedDomains: [window.location.hostname] });
+      buildPost();
+
+      expect(decisions(filter).gif).toBe(true);
+    });
+
+    it('should scan avatars inside posts only in strict mode', () => {
+      const filter = createFilter({ intensityLevel: 'moderate' });
+      const article = buildPost();
+      const avatar = article.querySelector('[data-testid="Tweet-User-Avatar"] img');
+
+      filter.scanSubtree(document);
+      expect(filter.filteredElements.has(avatar)).toBe(false);
+
+      filter.settings.intensityLevel = 'strict';
+      filter.scanSubtree(document);
+      expect(filter.filteredElements.has(avatar)).toBe(true);
+    });
+
+    it('should reveal elements the new level no longer hides', () => {
+      const filter = createFilter({ intensityLevel: 'strict' });
+      buildPost();
+      const gif = document.getElementById('gif');
+      const photo = document.getElementById('photo');
+
+      filter.replaceElement(gif, 'video');
+      filter.replaceElement(photo, 'image');
+      filter.handleMessage({ type: 'UPDATE_FILTERS', settings: { ...filter.settings, intensityLevel: 'moderate' } }, {}, jest.fn());
+
+      expect(gif.style.display).toBe('');
+      expect(photo.style.display).toBe('none');
+    });
+  });
+
+  describe('Account rules', () => {
+    const buildPost = (handle) => {
+      const article = document.createElement('article');
+      article.innerHTML = `
+        <div data-testid="User-Name"><a href="/${handle}">Name</a></div>
+        <div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/${handle}.jpg"></div>
+      `;
+      document.body.appendChild(article);
+      return article.querySelector('img');
+    };
+
+    it('should always hide media from denied accounts', () => {
+      const filter = createFilter({
+        intensityLevel: 'permissive',
+        accountRules: [{ handle: 'spammer', action: 'deny' }]
+      });
+
+      expect(filter.shouldFilter(buildPost('Spammer'), 'image')).toBe(true);
+      expect(filter.shouldFilter(buildPost('someone'), 'image')).toBe(false);
+    });
+
+    it('should always show media from trusted accounts', () => {
+      const filter = createFilter({
+        intensityLevel: 'strict',
+        accountRules: [{ handle: 'colleague', action: 'allow' }]
+      });
+
+      expect(filter.shouldFilter(buildPost('colleague'), 'image')).toBe(false);
+      expect(filter.shouldFilter(buildPost('someone'), 'image')).toBe(true);
+    });
+
+    it('should outrank media source rules', () => {
+      const filter = createFilter({
+        accountRules: [{ handle: 'colleague', action: 'allow' }],
+        mediaSourceRules: [{ pattern: 'pbs.twimg.com', action: 'deny' }]
+      });
+
+      expect(filter.shouldFilter(buildPost('colleague'), 'image')).toBe(false);
+    });
+
+    it('should follow an article recycled for another author', () => {
+      const filter = createFilter({
+        intensityLevel: 'permissive',
+        accountRules: [{ handle: 'spammer', action: 'deny' }]
+      });
+      const img = buildPost('someone');
+      expect(filter.shouldFilter(img, 'image')).toBe(false);
+
+      img.closest('article').querySelector('[data-testid="User-Name"] a').setAttribute('href', '/spammer');
+      expect(filter.shouldFilter(img, 'image')).toBe(true);
+    });
+  });
+
+  describe('Keyword rules', () => {
+    const buildPost = (text) => {
+      const article = document.createElement('article');
+      article.setAttribute('tabindex', '0');
+      article.innerHTML = `
+        <div data-testid="tweetText">${text}</div>
+        <div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/a.jpg"></div>
+      `;
+      article.querySelector('img').getBoundingClientRect = () => ({ width: 600, height: 400 });
+      document.body.appendChild(article);
+      return article;
+    };
+
+    afterEach(() => {
+      window.history.pushState({}, '', '/');
+    });
+
+    it('should hide the media of posts whose text matches', () => {
+      const filter = createFilter({
+        intensityLevel: 'permissive',
+        keywordRules: [{ pattern: 'Spoiler', type: 'keyword' }]
+      });
+
+      expect(filter.shouldFilter(buildPost('Big SPOILER ahead').querySelector('img'), 'image')).toBe(true);
+      expect(filter.shouldFilter(buildPost('Nothing to see').querySelector('img'), 'image')).toBe(false);
+    });
+
+    it('should only apply rules in their scope', () => {
+      const filter = createFilter({
+        intensityLevel: 'permissive',
+        keywordRules: [{ pattern: 'spoiler', scopes: ['replies'] }]
+      });
+      const img = buildPost('spoiler').querySelector('img');
+
+      expect(filter.shouldFilter(img, 'image')).toBe(false);
+
+      window.history.pushState({}, '', '/someone/status/123');
+      expect(filter.shouldFilter(img, 'image')).toBe(true);
+    });
+
+    it('should hide whole posts for rules that ask to', () => {
+      const filter = createFilter({
+        keywordRules: [{ pattern: 'spoilers', type: 'hashtag', action: 'post' }]
+      });
+      const post = buildPost('Finale tonight <a href="/hashtag/spoilers">#Spoilers</a>');
+      const other = buildPost('Finale tonight');
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.getType(post)).toBe('post');
+      expect(filter.filteredElements.has(other)).toBe(false);
+    });
+
+    it('should check posts again when their text renders later', () => {
+      const filter = createFilter({
+        keywordRules: [{ pattern: 'spoiler', action: 'post' }]
+      });
+      const post = buildPost('');
+      filter.scanSubtree(document);
+      expect(filter.filteredElements.has(post)).toBe(false);
+
+      const text = post.querySelector('[data-testid="tweetText"]');
+      text.textContent = 'spoiler';
+      filter.scanSubtree(text);
+
+      expect(filter.filteredElements.getType(post)).toBe('post');
+    });
+
+    it('should reveal a hidden post recycled for text that no longer matches', () => {
+      const filter = createFilter({
+        keywordRules: [{ pattern: 'spoiler', action: 'post' }]
+      });
+      const post = buildPost('spoiler');
+      filter.scanSubtree(document);
+      expect(filter.filteredElements.has(post)).toBe(true);
+
+      const text = post.querySelector('[data-testid="tweetText"]');
+      text.textContent = 'something else';
+      filter.scanSubtree(text);
+
+      expect(filter.filteredElements.has(post)).toBe(false);
+    });
+  });
+
+  describe('Post stubs', () => {
+    const buildPost = ({ handle = 'someone', text = '', id = '1' } = {}) => {
+      const cell = document.createElement('div');
+      cell.setAttribute('data-testid', 'cellInnerDiv');
+      cell.innerHTML = `
+        <article tabindex="0">
+          <div data-testid="User-Name"><a href="/${handle}">Name</a></div>
+          <a href="/${handle}/status/${id}"><time>1h</time></a>
+          <div data-testid="tweetText">${text}</div>
+        </article>
+      `;
+      document.body.appendChild(cell);
+      return cell.querySelector('article');
+    };
+
+    it('should collapse a post to a one-line stub with the reason', () => {
+      const filter = createFilter({
+        hideStyle: 'blur',
+        keywordRules: [{ pattern: 'spoilers', type: 'hashtag', action: 'post' }]
+      });
+      const post = buildPost({ text: 'Finale tonight #spoilers' });
+
+      filter.scanSubtree(document);
+
+      const stub = post.previousElementSibling;
+      expect(stub.className).toBe('xsafe-post-stub');
+      expect(stub.textContent).toBe('Tweet hidden by XSafe — Matches "spoilers" — Show');
+      expect(post.style.display).toBe('none');
+    });
+
+    it('should collapse posts by accounts marked to hide whole posts', () => {
+      const filter = createFilter({
+        accountRules: [
+          { handle: 'spammer', action: 'deny', hidePost: true },
+          { handle: 'someone', action: 'deny' }
+        ]
+      });
+      const spam = buildPost({ handle: 'spammer' });
+      const other = buildPost({ handle: 'someone' });
+
+      filter.scanSubtree(document);
+
+      expect(spam.previousElementSibling.textContent).toContain('Posted by @spammer');
+      expect(filter.filteredElements.has(other)).toBe(false);
+    });
+
+    it('should keep posts by "always show" accounts', () => {
+      const filter = createFilter({
+        accountRules: [{ handle: 'colleague', action: 'allow' }],
+        keywordRules: [{ pattern: 'spoiler', action: 'post' }]
+      });
+      const post = buildPost({ handle: 'colleague', text: 'spoiler' });
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(post)).toBe(false);
+    });
+
+    it('should collapse the post around what a whole-post custom rule matches', () => {
+      const filter = createFilter({
+        customRules: [{ selector: '[data-testid="tweetText"] .promo', description: 'Promotions', enabled: true, hidePost: true }]
+      });
+      const post = buildPost({ text: '<span class="promo">Buy now</span>' });
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.getType(post)).toBe('post');
+      expect(filter.filteredElements.has(post.querySelector('.promo'))).toBe(false);
+      expect(post.previousElementSibling.textContent).toContain('Custom rule: Promotions');
+    });
+
+    it('should show the post when the stub is clicked', () => {
+      const filter = createFilter({ keywordRules: [{ pattern: 'spoiler', action: 'post' }] });
+      const post = buildPost({ text: 'spoiler' });
+      filter.scanSubtree(document);
+
+      post.previousElementSibling.querySelector('.xsafe-post-stub-show').click();
+
+      expect(filter.filteredElements.has(post)).toBe(false);
+      expect(post.style.display).toBe('');
+      expect(document.querySelector('.xsafe-post-stub')).toBeNull();
+    });
+
+    it('should hide a revealed post again once it is recycled for another tweet', () => {
+      const filter = createFilter({ keywordRules: [{ pattern: 'spoiler', action: 'post' }] });
+      const post = buildPost({ text: 'spoiler', id: '1' });
+      filter.scanSubtree(document);
+      filter.revealByUser(post);
+
+      filter.scanSubtree(post.querySelector('[data-testid="tweetText"]'));
+      expect(filter.filteredElements.has(post)).toBe(false);
+
+      post.querySelector('a[href*="/status/"]').setAttribute('href', '/someone/status/2');
+      filter.scanSubtree(post.querySelector('[data-testid="tweetText"]'));
+
+      expect(filter.filteredElements.getType(post)).toBe('post');
+      expect(document.querySelector('.xsafe-rehide-button')).toBeNull();
+    });
+
+    it('should not leave stubs behind when the timeline re-renders', () => {
+      const filter = createFilter({ keywordRules: [{ pattern: 'spoiler', action: 'post' }] });
+      const removed = buildPost({ text: 'spoiler' });
+      const moved = buildPost({ text: 'spoiler' });
+      filter.scanSubtree(document);
+
+      removed.closest('[data-testid="cellInnerDiv"]').remove();
+      const newCell = document.createElement('div');
+      document.body.appendChild(newCell);
+      newCell.appendChild(moved);
+      filter.syncPostStubs();
+
+      const stubs = document.querySelectorAll('.xsafe-post-stub');
+      expect(stubs).toHaveLength(1);
+      expect(stubs[0].nextSibling).toBe(moved);
+    });
+  });
+
+  describe('Media categories', () => {
+    const buildPost = () => {
+      const article = document.createElement('article');
+      article.innerHTML = `
+        <div data-testid="tweetPhoto"><img id="photo" src="https://pbs.twimg.com/media/a.jpg"></div>
+        <div data-testid="videoPlayer"><video id="video" src="https://video.twimg.com/ext_tw_video/1/a.mp4"></video></div>
+      `;
+      article.querySelector('img').getBoundingClientRect = () => ({ width: 600, height: 400 });
+      document.body.appendChild(article);
+      return article;
+    };
+
+    const buildBanner = () => {
+      const link = document.createElement('a');
+      link.setAttribute('href', '/someone/header_photo');
+      link.innerHTML = '<img alt="" src="https://pbs.twimg.com/profile_banners/1/1500x500">';
+      link.querySelector('img').getBoundingClientRect = () => ({ width: 600, height: 200 });
+      document.body.appendChild(link);
+      return link.querySelector('img');
+    };
+
+    it('should leave media in a switched-off category alone', () => {
+      const filter = createFilter({ mediaCategories: { photo: false } });
+      buildPost();
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(document.getElementById('photo'))).toBe(false);
+      expect(filter.filteredElements.has(document.querySelector('[data-testid="videoPlayer"]'))).toBe(true);
+    });
+
+    it('should reveal hidden media once its category is switched off', () => {
+      const filter = createFilter();
+      buildPost();
+      filter.scanSubtree(document);
+      const photo = document.getElementById('photo');
+      expect(filter.filteredElements.has(photo)).toBe(true);
+
+      filter.settings = { ...filter.settings, mediaCategories: { photo: false } };
+      filter.reevaluateFilteredElements();
+
+      expect(filter.filteredElements.has(photo)).toBe(false);
+    });
+
+    it('should hide profile banners in strict mode unless switched off', () => {
+      const filter = createFilter({ intensityLevel: 'strict' });
+      const banner = buildBanner();
+
+      expect(filter.getMediaContext(banner, 'image')).toBe('banner');
+      filter.scanSubtree(document);
+      expect(filter.filteredElements.has(banner)).toBe(true);
+
+      const off = createFilter({ intensityLevel: 'strict', mediaCategories: { banner: false } });
+      const other = buildBanner();
+      off.scanSubtree(document);
+      expect(off.filteredElements.has(other)).toBe(false);
+    });
+
+    it('should follow an old filterMode until categories are saved', () => {
+      const filter = createFilter({ filterMode: 'videos' });
+      buildPost();
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(document.getElementById('photo'))).toBe(false);
+      expect(filter.filteredElements.has(document.querySelector('[data-testid="videoPlayer"]'))).toBe(true);
+    });
+  });
+
+  describe('Frozen GIFs', () => {
+    const buildGif = (src = 'https://video.twimg.com/tweet_video/a.mp4') => {
+      const article = document.createElement('article');
+      article.innerHTML = `
+        <div data-testid="videoPlayer">
+          <video poster="https://pbs.twimg.com/tweet_video_thumb/a.jpg" src="${src}" loop></video>
+        </div>
+      `;
+      document.body.appendChild(article);
+      const video = article.querySelector('video');
+      video.pause = jest.fn();
+      video.play = jest.fn(() => Promise.resolve());
+      return article.querySelector('[data-testid="videoPlayer"]');
+    };
+
+    afterEach(() => {
+      delete window.matchMedia;
+    });
+
+    it('should show a paused first frame instead of hiding the GIF', () => {
+      const filter = createFilter({ intensityLevel: 'strict', gifHandling: 'freeze' });
+      const player = buildGif();
+      const video = player.querySelector('video');
+
+      filter.scanSubtree(document);
+
+      const frame = player._xsafePlaceholder;
+      expect(filter.filteredElements.has(player)).toBe(true);
+      expect(player.style.display).toBe('none');
+      expect(frame.classList.contains('xsafe-frozen-gif')).toBe(true);
+      expect(frame.querySelector('canvas').style.backgroundImage).toContain('tweet_video_thumb');
+      expect(frame.querySelector('.xsafe-frozen-gif-play')).not.toBeNull();
+      expect(video.pause).toHaveBeenCalled();
+
+      // The site restarting the loop is undone while frozen
+      video.pause.mockClear();
+      video.dispatchEvent(new Event('play'));
+      expect(video.pause).toHaveBeenCalled();
+    });
+
+    it('should play the GIF again from the play button', () => {
+      const filter = createFilter({ intensityLevel: 'strict', gifHandling: 'freeze' });
+      const player = buildGif();
+      const video = player.querySelector('video');
+      filter.scanSubtree(document);
+
+      player._xsafePlaceholder.querySelector('.xsafe-frozen-gif-play').click();
+
+      expect(filter.filteredElements.has(player)).toBe(false);
+      expect(document.querySelector('.xsafe-frozen-gif')).toBeNull();
+      expect(video.play).toHaveBeenCalled();
+
+      video.pause.mockClear();
+      video.dispatchEvent(new Event('play'));
+      expect(video.pause).not.toHaveBeenCalled();
+    });
+
+    it('should keep hiding videos that are not GIFs', () => {
+      const filter = createFilter({ intensityLevel: 'strict', gifHandling: 'freeze', showPlaceholders: true });
+      const player = buildGif('https://video.twimg.com/ext_tw_video/1/a.mp4');
+
+      filter.scanSubtree(document);
+
+      expect(player._xsafePlaceholder.classList.contains('xsafe-frozen-gif')).toBe(false);
+      expect(player._xsafePlaceholder.getAttribute('data-xsafe-media-kind')).toBe('video');
+    });
+
+    it('should freeze by default only when the system prefers reduced motion', () => {
+      const filter = createFilter({ intensityLevel: 'strict' });
+      expect(filter.getGifHandling()).toBe('hide');
+
+      window.matchMedia = jest.fn(() => ({ matches: true }));
+      expect(filter.getGifHandling()).toBe('freeze');
+      expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+
+      filter.settings.gifHandling = 'hide';
+      expect(filter.getGifHandling()).toBe('hide');
+    });
+  });
+
+  describe('Paused videos', () => {
+    let pause;
+    let play;
+
+    const buildPlayer = (src = 'https://video.twimg.com/ext_tw_video/1/a.mp4') => {
+      const article = document.createElement('article');
+      article.innerHTML = `
+        <div data-testid="videoPlayer">
+          <video poster="https://pbs.twimg.com/ext_tw_video_thumb/1/a.jpg" src="${src}" autoplay></video>
+        </div>
+      `;
+      document.body.appendChild(article);
+      return article.querySelector('[data-testid="videoPlayer"]');
+    };
+
+    beforeEach(() => {
+      pause = jest.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+      play = jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+    });
+
+    afterEach(() => {
+      pause.mockRestore();
+      play.mockRestore();
+    });
+
+    it('should pause and mute the video instead of hiding it', () => {
+      const filter = createFilter({ videoHandling: 'pause' });
+      const player = buildPlayer();
+      const video = player.querySelector('video');
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(player)).toBe(true);
+      expect(player.style.display).toBe('');
+      expect(video.muted).toBe(true);
+      expect(video.hasAttribute('autoplay')).toBe(false);
+      expect(pause).toHaveBeenCalled();
+      expect(player._xsafePlaceholder.classList.contains('xsafe-paused-video')).toBe(true);
+    });
+
+    it('should silence videos the site swaps into the player later', () => {
+      const filter = createFilter({ videoHandling: 'pause' });
+      const player = buildPlayer();
+      filter.scanSubtree(document);
+      player.querySelector('video').remove();
+
+      const recreated = document.createElement('video');
+      recreated.autoplay = true;
+      player.appendChild(recreated);
+      recreated.dispatchEvent(new Event('loadstart'));
+
+      expect(recreated.muted).toBe(true);
+      expect(recreated.autoplay).toBe(false);
+
+      pause.mockClear();
+      recreated.dispatchEvent(new Event('play'));
+      expect(pause).toHaveBeenCalled();
+    });
+
+    it('should let the video play once the user asks', () => {
+      const filter = createFilter({ videoHandling: 'pause' });
+      const player = buildPlayer();
+      const video = player.querySelector('video');
+      filter.scanSubtree(document);
+
+      player._xsafePlaceholder.querySelector('.xsafe-paused-video-play').click();
+
+      expect(filter.filteredElements.has(player)).toBe(false);
+      expect(document.querySelector('.xsafe-paused-video')).toBeNull();
+      expect(play).toHaveBeenCalled();
+
+      pause.mockClear();
+      video.dispatchEvent(new Event('play'));
+      expect(pause).not.toHaveBeenCalled();
+    });
+
+    it('should let plays started from the player through when click-to-reveal is off', () => {
+      const filter = createFilter({ videoHandling: 'pause', showClickToReveal: false });
+      const player = buildPlayer();
+      const video = player.querySelector('video');
+      filter.scanSubtree(document);
+      expect(player._xsafePlaceholder.querySelector('.xsafe-paused-video-play')).toBeNull();
+
+      pause.mockClear();
+      video.dispatchEvent(new Event('play'));
+      expect(pause).toHaveBeenCalled();
+
+      pause.mockClear();
+      video.dispatchEvent(new Event('pointerdown'));
+      video.dispatchEvent(new Event('play'));
+      expect(pause).not.toHaveBeenCalled();
+
+      // Autoplay later on is stopped again
+      jest.advanceTimersByTime(5000);
+      video.dispatchEvent(new Event('play'));
+      expect(pause).toHaveBeenCalled();
+    });
+
+    it('should only pause the video category', () => {
+      const filter = createFilter({ intensityLevel: 'strict', videoHandling: 'pause', gifHandling: 'hide' });
+      const player = buildPlayer('https://video.twimg.com/tweet_video/a.mp4');
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(player)).toBe(true);
+      expect(player.style.display).toBe('none');
+    });
+  });
+
+  describe('Media source rules', () => {
+    const buildPost = () => {
+      const article = document.createElement('article');
+      article.innerHTML = `
+        <div data-testid="tweetPhoto"><img id="photo" src="https://pbs.twimg.com/media/a.jpg"></div>
+        <iframe id="embed" src="https://www.youtube.com/embed/abc"></iframe>
+        <div data-testid="card.wrapper">
+          <a href="https://t.co/xyz" aria-label="news.example.com Headline">
+            <div data-testid="card.layoutLarge.media"><img id="card" src="https://pbs.twimg.com/card_img/1/a.jpg"></div>
+          </a>
+        </div>
+      `;
+      document.body.appendChild(article);
+    };
+
+    const decide = (filter, id, type = 'image') => filter.shouldFilter(document.getElementById(id), type);
+
+    it('should always hide media from denied hosts', () => {
+      const filter = createFilter({
+        intensityLevel: 'permissive',
+        mediaSourceRules: [{ pattern: '*.youtube.com', action: 'deny' }]
+      });
+      buildPost();
+
+      expect(decide(filter, 'embed', 'video')).toBe(true);
+      expect(decide(filter, 'photo')).toBe(false);
+    });
+
+    it('should never hide media from allowed hosts', () => {
+      const filter = createFilter({
+        intensityLevel: 'strict',
+        mediaSourceRules: [{ pattern: 'pbs.twimg.com/media/*', action: 'allow' }]
+      });
+      buildPost();
+
+      expect(decide(filter, 'photo')).toBe(false);
+      expect(decide(filter, 'card')).toBe(true);
+    });
+
+    it('should let the most specific rule win', () => {
+      const filter = createFilter({
+        intensityLevel: 'permissive',
+        mediaSourceRules: [
+          { pattern: '*.twimg.com', action: 'deny' },
+          { pattern: 'pbs.twimg.com', action: 'allow' }
+        ]
+      });
+      buildPost();
+
+      expect(decide(filter, 'photo')).toBe(false);
+    });
+
+    it('should match link cards by where they lead', () => {
+      const filter = createFilter({
+        intensityLevel: 'permissive',
+        mediaSourceRules: [{ pattern: 'news.example.com', action: 'deny' }]
+      });
+      buildPost();
+
+      expect(decide(filter, 'card')).toBe(true);
+      expect(decide(filter, 'photo')).toBe(false);
+    });
+  });
+
+  describe('Domain patterns', () => {
+    const addSizedImage = () => {
+      const article = document.createElement('article');
+      article.innerHTML = '<div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/a.jpg"></div>';
+      document.body.appendChild(article);
+      const img = article.querySelector('img');
+      img.getBoundingClientRect = () => ({ width: 600, height: 400 });
+      return img;
+    };
+
+    afterEach(() => {
+      window.history.pushState({}, '', '/');
+    });
+
+    it('should leave pages a path pattern whitelists untouched', () => {
+      window.history.pushState({}, '', '/i/lists/1');
+      const filter = createFilter({ whitelistedDomains: [`${window.location.hostname}/i/lists/*`] });
+      const img = addSizedImage();
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+      expect(filter.getPrehideSelectors(filter.settings)).toEqual([]);
+    });
+
+    it('should reveal hidden media after navigating to a whitelisted page', () => {
+      const filter = createFilter({ whitelistedDomains: [`${window.location.hostname}/i/lists/*`] });
+      const img = addSizedImage();
+
+      filter.scanSubtree(document);
+      expect(filter.filteredElements.has(img)).toBe(true);
+
+      window.history.pushState({}, '', '/i/lists/1');
+      filter.processMutations([]);
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+    });
+
+    it('should only filter the blacklisted paths of a generic site', () => {
+      const { genericAdapter } = require('../adapters/generic');
+      const filter = createFilter({ blacklistedDomains: [`${window.location.hostname}/gallery/*`] });
+      filter.site = genericAdapter;
+
+      expect(filter.getPrehideSelectors(filter.settings)).toEqual([]);
+
+      window.history.pushState({}, '', '/gallery/1');
+      expect(filter.getPrehideSelectors(filter.settings)).not.toEqual([]);
+    });
+  });
+
+  describe('Generic sites', () => {
+    let genericAdapter;
+
+    const addSizedImage = (width, height) => {
+      const img = addMedia('img', 'https://cdn.example.com/a.jpg');
+      img.getBoundingClientRect = () => ({ width, height });
+      // jsdom never loads images
+      Object.defineProperty(img, 'complete', { configurable: true, value: true });
+      return img;
+    };
+
+    beforeEach(() => {
+      ({ genericAdapter } = require('../adapters/generic'));
+    });
+
+    it('should filter only media above the size threshold', () => {
+      const filter = createFilter({ blacklistedDomains: [window.location.hostname] });
+      filter.site = genericAdapter;
+      const photo = addSizedImage(600, 400);
+      const icon = addSizedImage(32, 32);
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(photo)).toBe(true);
+      expect(filter.filteredElements.has(icon)).toBe(false);
+      expect(icon.hasAttribute('data-xsafe-checked')).toBe(true);
+    });
+
+    it('should wait for an image to load before measuring it', () => {
+      const filter = createFilter({ blacklistedDomains: [window.location.hostname] });
+      filter.site = genericAdapter;
+      const photo = addSizedImage(600, 400);
+      Object.defineProperty(photo, 'complete', { configurable: true, value: false });
+
+      filter.scanSubtree(document);
+      expect(photo.hasAttribute('data-xsafe-checked')).toBe(false);
+
+      Object.defineProperty(photo, 'complete', { configurable: true, value: true });
+      photo.dispatchEvent(new Event('load'));
+
+      expect(filter.filteredElements.has(photo)).toBe(true);
+    });
+
+    it('should still decide on an image that fails to load', () => {
+      const filter = createFilter({ blacklistedDomains: [window.location.hostname] });
+      filter.site = genericAdapter;
+      const broken = addSizedImage(16, 16);
+      Object.defineProperty(broken, 'complete', { configurable: true, value: false });
+      const evaluateSpy = jest.spyOn(filter, 'evaluateMediaElement');
+
+      filter.scanSubtree(document);
+      Object.defineProperty(broken, 'complete', { configurable: true, value: true });
+      broken.dispatchEvent(new Event('error'));
+      broken.dispatchEvent(new Event('load'));
+
+      expect(broken.hasAttribute('data-xsafe-checked')).toBe(true);
+      expect(filter.filteredElements.has(broken)).toBe(false);
+      expect(evaluateSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should filter inline background images on any element', () => {
+      const filter = createFilter({ blacklistedDomains: [window.location.hostname] });
+      filter.site = genericAdapter;
+      const hero = document.createElement('section');
+      hero.style.backgroundImage = 'url("https://cdn.example.com/hero.jpg")';
+      hero.getBoundingClientRect = () => ({ width: 1200, height: 400 });
+      document.body.appendChild(hero);
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(hero)).toBe(true);
+    });
+  });
+
+  describe('Element registry', () => {
+    it('should restore every hidden element when filtering stops', () => {
+      const filter = createFilter();
+      const images = Array.from({ length: 250 }, () => addImage());
+
+      images.forEach(img => filter.replaceElement(img, 'image'));
+      filter.stopFiltering();
+
+      expect(images.every(img => img.style.display === '')).toBe(true);
+      expect(document.querySelectorAll('[data-xsafe-id]')).toHaveLength(0);
+    });
+
+    it('should restore elements hidden by an earlier copy of the script', () => {
+      const filter = createFilter();
+      const img = addImage();
+      img.setAttribute('data-xsafe-id', 'xsafe-1');
+      img.style.display = 'none';
+
+      filter.restoreAllElements();
+
+      expect(img.style.display).toBe('');
+      expect(img.hasAttribute('data-xsafe-id')).toBe(false);
+    });
+
+    it('should report hidden media per type for the popup', () => {
+      const filter = createFilter();
+      const sendResponse = jest.fn();
+      filter.replaceElement(addImage(), 'image');
+      filter.replaceElement(addMedia('video', 'https://video.twimg.com/ext_tw_video/1/a.mp4'), 'video');
+
+      filter.handleMessage({ type: 'GET_PAGE_STATS' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, data: { total: 2, image: 1, video: 1 } });
+    });
+  });
+
+  describe('Lazy evaluation', () => {
+    let observers;
+
+    class MockIntersectionObserver {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.targets.add(target);
+      }
+
+      unobserve(target) {
+        this.targets.delete(target);
+      }
+
+      disconnect() {
+        this.targets.clear();
+      }
+
+      enter(target) {
+        this.callback([{ target, isIntersecting: true }]);
+      }
+    }
+
+    const addPhoto = () => {
+      const article = document.createElement('article');
+      article.innerHTML = '<div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/a.jpg"></div>';
+      document.body.appendChild(article);
+      const img = article.querySelector('img');
+      img.getBoundingClientRect = () => ({ width: 600, height: 400 });
+      return img;
+    };
+
+    beforeEach(() => {
+      observers = [];
+      global.IntersectionObserver = MockIntersectionObserver;
+    });
+
+    afterEach(() => {
+      delete global.IntersectionObserver;
+    });
+
+    it('should leave offscreen media undecided until it nears the viewport', () => {
+      const filter = createFilter({ classifierEnabled: true });
+      const img = addPhoto();
+
+      filter.setupIntersectionObserver();
+      filter.scanSubtree(document);
+
+      expect(observers[0].targets.has(img)).toBe(true);
+      expect(filter.filteredElements.has(img)).toBe(false);
+      expect(img.hasAttribute('data-xsafe-checked')).toBe(false);
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'CLASSIFY_MEDIA' }));
+
+      observers[0].enter(img);
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+      expect(img.hasAttribute('data-xsafe-checked')).toBe(true);
+      expect(observers[0].targets.has(img)).toBe(false);
+    });
+
+    it('should use the configured root margin', () => {
+      const filter = createFilter({ evaluationMargin: 250 });
+
+      filter.setupIntersectionObserver();
+
+      expect(observers[0].options.rootMargin).toBe('250px 0px');
+    });
+
+    it('should re-queue waiting media when the margin changes', () => {
+      const filter = createFilter();
+      filter.isFiltering = true;
+      const img = addPhoto();
+      filter.setupIntersectionObserver();
+      filter.scanSubtree(document);
+
+      filter.applySettings({ ...filter.settings, evaluationMargin: 2000 });
+
+      expect(observers).toHaveLength(2);
+      expect(observers[0].targets.size).toBe(0);
+      expect(observers[1].options.rootMargin).toBe('2000px 0px');
+      expect(observers[1].targets.has(img)).toBe(true);
+    });
+
+    it('should re-check decided media right away when its src changes', () => {
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      const img = addPhoto();
+      img.setAttribute('data-xsafe-checked', '');
+      filter.setupIntersectionObserver();
+      const evaluateSpy = jest.spyOn(filter, 'evaluateMediaElement');
+
+      filter.scanSubtree(img);
+
+      expect(evaluateSpy).toHaveBeenCalledWith(img);
+      expect(observers[0].targets.size).toBe(0);
+    });
+  });
+
+  describe('Pre-hide stylesheet', () => {
+    const prehideStyle = () => document.getElementById('xsafe-prehide-css');
+
+    // Run the script again as it runs at document_start, before the DOM (and the filter) is ready
+    const runAtDocumentStart = async(storedSettings) => {
+      chrome.storage.sync.get.mockResolvedValueOnce(storedSettings);
+      const readyState = jest.spyOn(document, 'readyState', 'get').mockReturnValue('loading');
+      jest.isolateModules(() => {
+        require('./content.js');
+      });
+      readyState.mockRestore();
+    };
+
+    const flushPromises = async() => {
+      for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+      }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(ContentFilter.prototype, 'init').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      ContentFilter.prototype.init.mockRestore();
+      if (prehideStyle()) {
+        prehideStyle().remove();
+      }
+    });
+
+    it('should pre-hide media once storage answers, before DOMContentLoaded', async() => {
+      jest.spyOn(document, 'addEventListener');
+
+      await runAtDocumentStart({ enabled: true });
+      await flushPromises();
+
+      expect(prehideStyle().parentNode).toBe(document.documentElement);
+      expect(prehideStyle().textContent).toContain('video:not([data-xsafe-checked])');
+      expect(document.addEventListener).toHaveBeenCalledWith('DOMContentLoaded', expect.any(Function));
+      expect(ContentFilter.prototype.init).not.toHaveBeenCalled();
+
+      document.addEventListener.mockRestore();
+    });
+
+    it('should hide undecided media using the stored settings', async() => {
+      await runAtDocumentStart({ enabled: true, filterMode: 'both' });
+      await flushPromises();
+
+      expect(prehideStyle().textContent).toContain('[data-testid="tweetPhoto"] img:not([data-xsafe-checked])');
+      expect(prehideStyle().textContent).toContain('video:not([data-xsafe-checked])');
+      expect(prehideStyle().textContent).toContain('visibility: hidden !important');
+    });
+
+    it('should only pre-hide the media types being filtered', async() => {
+      await runAtDocumentStart({ enabled: true, filterMode: 'images' });
+      await flushPromises();
+
+      expect(prehideStyle().textContent).not.toContain('video:not');
+    });
+
+    it('should only pre-hide selectors for enabled media categories', async() => {
+      await runAtDocumentStart({
+        enabled: true,
+        mediaCategories: { photo: false, gif: false, card: false }
+      });
+      await flushPromises();
+
+      expect(prehideStyle().textContent).toContain('video:not');
+      expect(prehideStyle().textContent).not.toContain('[data-testid="tweetPhoto"] img:not');
+    });
+
+    it('should hide nothing before or after the read when disabled or whitelisted', async() => {
+      await runAtDocumentStart({ enabled: false });
+      expect(prehideStyle()).toBeNull();
+      await flushPromises();
+      expect(prehideStyle()).toBeNull();
+
+      await runAtDocumentStart({ whitelistedDomains: [window.location.hostname] });
+      expect(prehideStyle()).toBeNull();
+      await flushPromises();
+      expect(prehideStyle()).toBeNull();
+    });
+
+    it('should use the generic selectors on a blacklisted site', async() => {
+      await runAtDocumentStart({ blacklistedDomains: [window.location.hostname] });
+      await flushPromises();
+
+      expect(prehideStyle().textContent).toContain('img:not([data-xsafe-checked])');
+      expect(prehideStyle().textContent).not.toContain('tweetPhoto');
+    });
+
+    it('should mark media once it has been decided', () => {
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      const article = document.createElement('article');
+      article.innerHTML = '<div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/a.jpg"></div>';
+      document.body.appendChild(article);
+      const img = article.querySelector('img');
+
+      filter.scanSubtree(document);
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+      expect(img.hasAttribute('data-xsafe-checked')).toBe(true);
+    });
+
+    it('should drop the stylesheet when filtering is turned off', async() => {
+      const filter = createFilter();
+      filter.updatePrehideStyles(filter.settings);
+      expect(prehideStyle()).not.toBeNull();
+
+      filter.applySettings({ ...filter.settings, enabled: false });
+
+      expect(prehideStyle()).toBeNull();
+    });
+  });
+
+  describe('Custom rules', () => {
+    const addPromo = () => {
+      const promo = document.createElement('div');
+      promo.className = 'promo';
+      promo.textContent = 'Promoted';
+      document.body.appendChild(promo);
+      return promo;
+    };
+
+    it('should hide elements matching enabled rules', () => {
+      const filter = createFilter({
+        customRules: [{ selector: '.promo', description: 'Promos', enabled: true }]
+      });
+      const promo = addPromo();
+
+      filter.scanSubtree(document);
+
+      expect(promo.style.display).toBe('none');
+      expect(promo._xsafeData.type).toBe('custom');
+      expect(promo._xsafeData.ruleSelector).toBe('.promo');
+    });
+
+    it('should ignore disabled rules', () => {
+      const filter = createFilter({
+        customRules: [{ selector: '.promo', description: '', enabled: false }]
+      });
+      const promo = addPromo();
+
+      filter.scanSubtree(document);
+
+      expect(promo.style.display).toBe('');
+    });
+
+    it('should never hide its own placeholders', () => {
+      const filter = createFilter({
+        showPlaceholders: true,
+        customRules: [{ selector: 'div', description: '', enabled: true }]
+      });
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+      filter.scanSubtree(document);
+
+      expect(img._xsafePlaceholder.style.display).toBe('');
+    });
+
+    it('should report invalid selectors once instead of throwing', () => {
+      const filter = createFilter({
+        customRules: [{ selector: 'div[', description: '', enabled: true }]
+      });
+
+      expect(() => filter.scanSubtree(document)).not.toThrow();
+      filter.scanSubtree(document);
+
+      const reports = chrome.runtime.sendMessage.mock.calls.filter(([message]) => message.type === 'CUSTOM_RULE_ERROR');
+      expect(reports).toHaveLength(1);
+      expect(reports[0][0].data.selector).toBe('div[');
+    });
+
+    it('should reveal elements when their rule is disabled', () => {
+      const rules = [{ selector: '.promo', description: '', enabled: true }];
+      const filter = createFilter({ customRules: rules });
+      const promo = addPromo();
+
+      filter.scanSubtree(document);
+      filter.settings.customRules = [{ ...rules[0], enabled: false }];
+      filter.reevaluateFilteredElements();
+
+      expect(promo.style.display).toBe('');
+      expect(filter.filteredElements.has(promo)).toBe(false);
+    });
+  });
+
+  describe('Incremental scanning', () => {
+    const flushMutations = async() => {
+      for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+      }
+    };
+
+    const buildPhotoPost = (src = 'https://pbs.twimg.com/media/a.jpg') => {
+      const article = document.createElement('article');
+      article.innerHTML = `<div data-testid="tweetPhoto"><img src="${src}"></div>`;
+      // jsdom lays nothing out; give the photo a real size
+      article.querySelector('img').getBoundingClientRect = () => ({ width: 600, height: 400 });
+      return article;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(ContentFilter.prototype, 'init').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      ContentFilter.prototype.init.mockRestore();
+    });
+
+    it('should filter media in added nodes', async() => {
+      const filter = createFilter();
+      filter.setupObservers();
+
+      const post = buildPhotoPost();
+      document.body.appendChild(post);
+      await flushMutations();
+
+      expect(filter.filteredElements.has(post.querySelector('img'))).toBe(true);
+      filter.stopFiltering();
+    });
+
+    it('should only scan the added subtree', async() => {
+      const filter = createFilter();
+      const existing = buildPhotoPost();
+      document.body.appendChild(existing);
+      filter.setupObservers();
+      const scanSpy = jest.spyOn(filter, 'scanSubtree');
+
+      const post = buildPhotoPost();
+      document.body.appendChild(post);
+      await flushMutations();
+
+      expect(scanSpy).toHaveBeenCalledTimes(1);
+      expect(scanSpy).toHaveBeenCalledWith(post);
+      expect(filter.filteredElements.has(existing.querySelector('img'))).toBe(false);
+      filter.stopFiltering();
+    });
+
+    it('should re-check media whose src changes', async() => {
+      const filter = createFilter();
+      const post = buildPhotoPost();
+      const img = post.querySelector('img');
+      // Outside the photo container only the twimg src makes this tweet media
+      post.appendChild(img);
+      img.src = 'https://example.com/placeholder.png';
+      document.body.appendChild(post);
+      filter.setupObservers();
+
+      filter.scanSubtree(document);
+      expect(filter.filteredElements.has(img)).toBe(false);
+
+      img.setAttribute('src', 'https://pbs.twimg.com/media/late.jpg');
+      await flushMutations();
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+      filter.stopFiltering();
+    });
+
+    it('should decide again when the site reuses hidden or revealed media for a new src', async() => {
+      const filter = createFilter();
+      const post = buildPhotoPost();
+      const img = post.querySelector('img');
+      document.body.appendChild(post);
+      filter.setupObservers();
+      filter.scanSubtree(document);
+
+      filter.revealByUser(img);
+      img.setAttribute('src', 'https://pbs.twimg.com/media/next.jpg');
+      await flushMutations();
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+      expect(filter.revealedElements.has(img)).toBe(false);
+      expect(document.querySelector('.xsafe-rehide-button')).toBeNull();
+
+      // Reused again, now outside what counts as tweet media
+      post.appendChild(img);
+      img.setAttribute('src', 'https://example.com/placeholder.png');
+      await flushMutations();
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+      expect(img.style.display).toBe('');
+      filter.stopFiltering();
+    });
+
+    it('should measure media again that had no size yet', () => {
+      const filter = createFilter();
+      const img = addImage();
+      let rect = { width: 0, height: 0 };
+      img.getBoundingClientRect = () => rect;
+
+      expect(filter.isUIElement(img)).toBe(false);
+
+      rect = { width: 40, height: 40 };
+      expect(filter.isUIElement(img)).toBe(true);
+    });
+
+    it('should not rescan timeline cells whose style changes while scrolling', async() => {
+      const filter = createFilter();
+      const cell = document.createElement('div');
+      cell.appendChild(buildPhotoPost());
+      document.body.appendChild(cell);
+      filter.setupObservers();
+      const scanSpy = jest.spyOn(filter, 'scanSubtree');
+
+      cell.style.transform = 'translateY(1200px)';
+      await flushMutations();
+
+      expect(scanSpy).not.toHaveBeenCalled();
+      filter.stopFiltering();
+    });
+
+    it('should apply custom rules to added nodes', async() => {
+      const filter = createFilter({
+        customRules: [{ selector: '.promo', description: '', enabled: true }]
+      });
+      filter.setupObservers();
+
+      const promo = document.createElement('div');
+      promo.className = 'promo';
+      document.body.appendChild(promo);
+      await flushMutations();
+
+      expect(promo._xsafeData.type).toBe('custom');
+      filter.stopFiltering();
+    });
+
+    it('should not rescan its own placeholders', async() => {
+      const filter = createFilter({ showPlaceholders: true });
+      const post = buildPhotoPost();
+      document.body.appendChild(post);
+      filter.setupObservers();
+      const scanSpy = jest.spyOn(filter, 'scanSubtree');
+
+      filter.replaceElement(post.querySelector('img'), 'image');
+      await flushMutations();
+
+      expect(scanSpy).not.toHaveBeenCalledWith(expect.objectContaining({ className: expect.stringContaining('xsafe-placeholder') }));
+      filter.stopFiltering();
+    });
+  });
+
+  describe('Hide styles', () => {
+    it('should blur instead of hiding and keep the element in the layout', () => {
+      const filter = createFilter({ hideStyle: 'blur', blurStrength: 12, showClickToReveal: false });
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+
+      expect(img.style.display).toBe('');
+      expect(img.style.getPropertyValue('filter')).toBe('blur(12px)');
+      expect(img.style.getPropertyPriority('filter')).toBe('important');
+    });
+
+    it('should reference the pixelate SVG filter', () => {
+      const filter = createFilter({ hideStyle: 'pixelate', showClickToReveal: false });
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+
+      expect(img.style.getPropertyValue('filter')).toBe('url(#xsafe-pixelate-filter)');
+      expect(document.getElementById('xsafe-pixelate-filter')).not.toBeNull();
+    });
+
+    it('should restore the exact original inline style on reveal', () => {
+      const filter = createFilter({ hideStyle: 'grayscale' });
+      const img = addImage();
+      img.setAttribute('style', 'filter: sepia(1); opacity: 0.9;');
+
+      filter.replaceElement(img, 'image');
+      filter.revealElement(img);
+
+      expect(img.getAttribute('style')).toBe('filter: sepia(1); opacity: 0.9;');
+    });
+
+    it('should remove the style attribute when there was none', () => {
+      const filter = createFilter({ hideStyle: 'blur' });
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+      filter.revealElement(img);
+
+      expect(img.hasAttribute('style')).toBe(false);
+    });
+
+    it('should overlay the placeholder on visually hidden media', () => {
+      const filter = createFilter({ hideStyle: 'blur', showPlaceholders: true });
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+
+      expect(img._xsafePlaceholder.classList.contains('xsafe-placeholder-overlay')).toBe(true);
+    });
+
+    it('should re-apply hiding when the hide style changes', () => {
+      const filter = createFilter({ hideStyle: 'hide' });
+      const img = addImage();
+
+      filter.replaceElement(img, 'image');
+      filter.applySettings({ ...filter.settings, hideStyle: 'blur', blurStrength: 8 });
+
+      expect(img.style.display).toBe('');
+      expect(img.style.getPropertyValue('filter')).toBe('blur(8px)');
+      expect(document.querySelectorAll('.xsafe-placeholder')).toHaveLength(1);
+    });
+  });
+
+  describe('On-device classification', () => {
+    // Timers are faked in tests/setup.js, so drain the microtask queue directly
+    const flushPromises = async() => {
+      for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+      }
+    };
+
+    const respondToClassify = (response) => {
+      chrome.runtime.sendMessage.mockResolvedValue(response);
+    };
+
+    beforeEach(() => {
+      // These tests await responses, so keep init() from replacing the test's settings
+      jest.spyOn(ContentFilter.prototype, 'init').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      ContentFilter.prototype.init.mockRestore();
+    });
+
+    const classifyAs = (score) => respondToClassify({
+      success: true,
+      data: { verdict: score >= 0.5 ? 'unsafe' : 'safe', score, source: 'classifier' }
+    });
+
+    it('should hide media while it is being classified', () => {
+      classifyAs(0.9);
+      const filter = createFilter({ classifierEnabled: true });
+      const img = addImage();
+
+      filter.filterImage(img);
+
+      expect(img.style.display).toBe('none');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'CLASSIFY_MEDIA',
+        data: { url: 'https://pbs.twimg.com/media/test.jpg', classify: true }
+      });
+    });
+
+    it('should reveal media scored below the intensity threshold', async() => {
+      classifyAs(0.5);
+      const filter = createFilter({ classifierEnabled: true, intensityLevel: 'moderate' });
+      const img = addImage();
+
+      filter.filterImage(img);
+      await flushPromises();
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+      expect(img.style.display).toBe('');
+    });
+
+    it('should keep media hidden at or above the threshold', async() => {
+      classifyAs(0.4);
+      const filter = createFilter({ classifierEnabled: true, intensityLevel: 'strict' });
+      const img = addImage();
+
+      filter.filterImage(img);
+      await flushPromises();
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+      expect(img._xsafeData.score).toBe(0.4);
+    });
+
+    it('should keep media hidden when the classifier is unavailable', async() => {
+      respondToClassify({ success: false, error: 'Model failed to load' });
+      const filter = createFilter({ classifierEnabled: true });
+      const img = addImage();
+
+      filter.filterImage(img);
+      await flushPromises();
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+    });
+
+    it('should not hide a safe image again on the next scan', async() => {
+      classifyAs(0.1);
+      const filter = createFilter({ classifierEnabled: true });
+      const img = addImage();
+
+      filter.filterImage(img);
+      await flushPromises();
+      filter.filterImage(img);
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+    });
+
+    it('should re-evaluate when a recycled element gets a new source', async() => {
+      classifyAs(0.1);
+      const filter = createFilter({ classifierEnabled: true });
+      const img = addImage();
+
+      filter.filterImage(img);
+      await flushPromises();
+      img.src = 'https://pbs.twimg.com/media/other.jpg';
+      filter.filterImage(img);
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+    });
+
+    it('should classify each media URL only once across renditions', async() => {
+      classifyAs(0.9);
+      const filter = createFilter({ classifierEnabled: true });
+      const thumbnail = addMedia('img', 'https://pbs.twimg.com/media/AbC?format=jpg&name=small');
+      const fullSize = addMedia('img', 'https://pbs.twimg.com/media/AbC?format=jpg&name=large');
+
+      filter.filterImage(thumbnail);
+      filter.filterImage(fullSize);
+      await flushPromises();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+      expect(filter.filteredElements.has(thumbnail)).toBe(true);
+      expect(filter.filteredElements.has(fullSize)).toBe(true);
+    });
+
+    it('should apply a verdict to every hidden copy of the media', async() => {
+      classifyAs(0.1);
+      const filter = createFilter({ classifierEnabled: true });
+      const first = addImage();
+      const second = addImage();
+
+      filter.filterImage(first);
+      filter.filterImage(second);
+      await flushPromises();
+
+      expect(filter.filteredElements.size).toBe(0);
+    });
+
+    it('should not hide media already known to be safe', async() => {
+      classifyAs(0.1);
+      const filter = createFilter({ classifierEnabled: true });
+
+      filter.filterImage(addImage());
+      await flushPromises();
+      const repeat = addImage();
+      filter.filterImage(repeat);
+
+      expect(repeat.style.display).toBe('');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave unflagged media alone in permissive mode, even with the classifier on', () => {
+      const img = addImage();
+
+      expect(createFilter({ intensityLevel: 'permissive' }).shouldFilter(img, 'image')).toBe(false);
+      expect(createFilter({ intensityLevel: 'permissive', classifierEnabled: true }).shouldFilter(img, 'image')).toBe(false);
+    });
+
+    it('should not classify media X has flagged as sensitive', () => {
+      const filter = createFilter({ classifierEnabled: true });
+      const post = document.createElement('article');
+      post.innerHTML = '<div data-testid="sensitiveMediaWarning"></div>';
+      document.body.appendChild(post);
+      const img = addImage(post);
+
+      filter.filterImage(img);
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'CLASSIFY_MEDIA' }));
+    });
+
+    it('should not take its own blur for the site flagging the media', async() => {
+      classifyAs(0.1);
+      const filter = createFilter({ classifierEnabled: true, hideStyle: 'blur' });
+      const post = document.createElement('article');
+      document.body.appendChild(post);
+      const img = addImage(post);
+      const other = addImage(post);
+
+      filter.filterImage(img);
+      expect(img.style.filter).toContain('blur');
+      expect(filter.isMarkedSensitive(img)).toBe(false);
+      expect(filter.isMarkedSensitive(other)).toBe(false);
+      await flushPromises();
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+    });
+  });
+
+  describe('Hash lists', () => {
+    const flushPromises = async() => {
+      for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+      }
+    };
+
+    const listVerdict = (source) => {
+      chrome.runtime.sendMessage.mockResolvedValue({
+        success: true,
+        data: { verdict: source === 'blocklist' ? 'unsafe' : 'safe', score: null, source }
+      });
+    };
+
+    const addGif = () => addMedia('img', 'https://pbs.twimg.com/tweet_video_thumb/abc.jpg');
+
+    beforeEach(() => {
+      jest.spyOn(ContentFilter.prototype, 'init').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      ContentFilter.prototype.init.mockRestore();
+    });
+
+    it('should hide visible media that is on the "always hide" list', async() => {
+      listVerdict('blocklist');
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      filter.hashListStatus = { blocked: 1, allowed: 0 };
+      const img = addImage();
+
+      filter.filterImage(img);
+      expect(filter.filteredElements.has(img)).toBe(false);
+      await flushPromises();
+
+      expect(filter.filteredElements.has(img)).toBe(true);
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'CLASSIFY_MEDIA',
+        data: { url: 'https://pbs.twimg.com/media/test.jpg', classify: false }
+      });
+    });
+
+    it('should reveal media on the "never hide" list even when X flags it', async() => {
+      listVerdict('allowlist');
+      const filter = createFilter({ intensityLevel: 'strict' });
+      filter.hashListStatus = { blocked: 0, allowed: 1 };
+      const post = document.createElement('article');
+      post.innerHTML = '<div data-testid="sensitiveMediaWarning"></div>';
+      document.body.appendChild(post);
+      const img = addImage(post);
+
+      filter.filterImage(img);
+      await flushPromises();
+
+      expect(filter.filteredElements.has(img)).toBe(false);
+      expect(img.style.display).toBe('');
+    });
+
+    it('should not analyze visible media when only the "never hide" list is in use', () => {
+      const filter = createFilter({ intensityLevel: 'permissive' });
+      filter.hashListStatus = { blocked: 0, allowed: 3 };
+
+      filter.filterImage(addGif());
+
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'CLASSIFY_MEDIA' }));
+    });
+
+    it('should ask again for verdicts after the lists change', async() => {
+      listVerdict('none');
+      const filter = createFilter();
+      filter.hashListStatus = { blocked: 1, allowed: 0 };
+      const img = addImage();
+
+      filter.filterImage(img);
+      await flushPromises();
+      listVerdict('allowlist');
+      filter.applyHashListStatus({ blocked: 0, allowed: 1 });
+      await flushPromises();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(2);
+      expect(filter.filteredElements.has(img)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * XSafe Offscreen Document
+ * Runs the on-device NSFW image classifier and perceptual hashing away from the X page's main thread
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { load } from 'nsfwjs/core';
+import { MobileNetV2Model } from 'nsfwjs/models/mobilenet_v2';
+import { HASH_SAMPLE_HEIGHT, HASH_SAMPLE_WIDTH, computeDHash } from '../utils/perceptual-hash';
+
+// Only this model is bundled, so loading it never touches the network
+const MODEL_NAME = 'MobileNetV2';
+
+// Prediction classes that count towards the unsafe score
+const UNSAFE_CLASSES = ['Porn', 'Hentai', 'Sexy'];
+
+class XSafeClassifier {
+  constructor() {
+    this.modelPromise = null;
+    this.queue = Promise.resolve();
+
+    this.init();
+  }
+
+  init() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Only answer messages routed here by the background service worker
+      if (!message || message.target !== 'offscreen') {
+        return false;
+      }
+
+      this.handleMessage(message, sender, sendResponse);
+      return true;
+    });
+
+    console.log('[XSafe Offscreen] Classifier document ready');
+  }
+
+  async handleMessage(message, sender, sendResponse) {
+    try {
+      switch (message.type) {
+      case 'ANALYZE_IMAGE':
+        if (!message.url) {
+          sendResponse({ success: false, error: 'Missing media URL' });
+          return;
+        }
+        sendResponse({ success: true, data: await this.analyze(message.url, message.classify !== false) });
+        break;
+
+      default:
+        sendResponse({ success: false, error: `Unknown message type: ${message.type}` });
+      }
+    } catch (error) {
+      console.error('[XSafe Offscreen] Classification failed:', error);
+      sendResponse({ success: false, error: error.message || 'Classification failed' });
+    }
+  }
+
+  loadModel() {
+    if (!this.modelPromise) {
+      tf.enableProdMode();
+      this.modelPromise = load(MODEL_NAME, { modelDefinitions: [MobileNetV2Model] }).catch(error => {
+        // Allow a retry on the next request
+        this.modelPromise = null;
+        throw error;
+      });
+    }
+    return this.modelPromise;
+  }
+
+  analyze(url, classify) {
+    // One image at a time keeps memory flat when a timeline loads many at once
+    const result = this.queue.then(() => this.runAnalysis(url, classify));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async runAnalysis(url, classify) {
+    const startTime = performance.now();
+
+    // A host XSafe has no access to fails the request outright, e.g. a Mastodon instance's
+    // media on a third-party CDN
+    const response = await fetch(url, { credentials: 'omit' }).catch(() => {
+      throw new Error(`No access to media on ${new URL(url).hostname}`);
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch media (${response.status})`);
+    }
+
+    const bitmap = await createImageBitmap(await response.blob());
+
+    try {
+      const result = {
+        hash: this.getPerceptualHash(bitmap),
+        score: null,
+        predictions: null
+      };
+
+      if (classify) {
+        result.predictions = await this.classifyBitmap(bitmap);
+        result.score = this.getUnsafeScore(result.predictions);
+      }
+
+      result.processingTime = performance.now() - startTime;
+      return result;
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  async classifyBitmap(bitmap) {
+    const model = await this.loadModel();
+    const pixels = tf.browser.fromPixels(bitmap);
+
+    try {
+      return await model.classify(pixels);
+    } finally {
+      pixels.dispose();
+    }
+  }
+
+  getPerceptualHash(bitmap) {
+    const canvas = new OffscreenCanvas(HASH_SAMPLE_WIDTH, HASH_SAMPLE_HEIGHT);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, HASH_SAMPLE_WIDTH, HASH_SAMPLE_HEIGHT);
+
+    return computeDHash(context.getImageData(0, 0, HASH_SAMPLE_WIDTH, HASH_SAMPLE_HEIGHT));
+  }
+
+  getUnsafeScore(predictions) {
+    const score = predictions
+      .filter(prediction => UNSAFE_CLASSES.includes(prediction.className))
+      .reduce((total, prediction) => total + prediction.probability, 0);
+
+    return Math.min(1, score);
+  }
+}
+
+export { XSafeClassifier };
+
+// Initialize the classifier as soon as the offscreen document loads
+new XSafeClassifier();
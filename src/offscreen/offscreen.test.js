@@ -0,0 +1,138 @@
+/**
+ * Tests for the offscreen classifier document
+ */
+
+jest.mock('@tensorflow/tfjs', () => ({
+  enableProdMode: jest.fn(),
+  browser: { fromPixels: jest.fn(() => ({ dispose: jest.fn() })) }
+}));
+
+jest.mock('nsfwjs/core', () => ({
+  load: jest.fn()
+}));
+
+jest.mock('nsfwjs/models/mobilenet_v2', () => ({
+  MobileNetV2Model: { name: 'MobileNetV2' }
+}));
+
+const nsfwjs = require('nsfwjs/core');
+const { XSafeClassifier } = require('./offscreen.js');
+
+describe('XSafeClassifier (offscreen.js)', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new XSafeClassifier();
+  });
+
+  describe('getUnsafeScore', () => {
+    it('should sum the unsafe class probabilities', () => {
+      const score = classifier.getUnsafeScore([
+        { className: 'Neutral', probability: 0.5 },
+        { className: 'Sexy', probability: 0.2 },
+        { className: 'Porn', probability: 0.25 },
+        { className: 'Drawing', probability: 0.05 }
+      ]);
+
+      expect(score).toBeCloseTo(0.45);
+    });
+
+    it('should never exceed 1', () => {
+      const score = classifier.getUnsafeScore([
+        { className: 'Porn', probability: 0.7 },
+        { className: 'Hentai', probability: 0.6 }
+      ]);
+
+      expect(score).toBe(1);
+    });
+  });
+
+  describe('handleMessage', () => {
+    it('should reject requests without a URL', async() => {
+      const sendResponse = jest.fn();
+
+      await classifier.handleMessage({ target: 'offscreen', type: 'ANALYZE_IMAGE' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'Missing media URL' });
+    });
+
+    it('should report classification errors to the caller', async() => {
+      const sendResponse = jest.fn();
+      jest.spyOn(classifier, 'analyze').mockRejectedValue(new Error('Failed to fetch media (404)'));
+
+      await classifier.handleMessage(
+        { target: 'offscreen', type: 'ANALYZE_IMAGE', url: 'https://pbs.twimg.com/media/test.jpg' },
+        {},
+        sendResponse
+      );
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'Failed to fetch media (404)' });
+    });
+  });
+
+  describe('analyze', () => {
+    beforeEach(() => {
+      global.fetch.mockResolvedValue({ ok: true, blob: () => Promise.resolve({}) });
+      global.createImageBitmap = jest.fn(() => Promise.resolve({ close: jest.fn() }));
+      jest.spyOn(classifier, 'getPerceptualHash').mockReturnValue('0123456789abcdef');
+    });
+
+    afterEach(() => {
+      delete global.createImageBitmap;
+    });
+
+    it('should only hash when classification is not requested', async() => {
+      const result = await classifier.analyze('https://pbs.twimg.com/media/test.jpg', false);
+
+      expect(result.hash).toBe('0123456789abcdef');
+      expect(result.score).toBeNull();
+      expect(nsfwjs.load).not.toHaveBeenCalled();
+    });
+
+    it('should hash and score when classification is requested', async() => {
+      nsfwjs.load.mockResolvedValue({
+        classify: jest.fn(() => Promise.resolve([{ className: 'Porn', probability: 0.7 }]))
+      });
+
+      const result = await classifier.analyze('https://pbs.twimg.com/media/test.jpg', true);
+
+      expect(result.hash).toBe('0123456789abcdef');
+      expect(result.score).toBe(0.7);
+    });
+
+    it('should reject when the media cannot be fetched', async() => {
+      global.fetch.mockResolvedValue({ ok: false, status: 403 });
+
+      await expect(classifier.analyze('https://pbs.twimg.com/media/test.jpg', true))
+        .rejects.toThrow('Failed to fetch media (403)');
+    });
+
+    it('should name the host when XSafe has no access to it', async() => {
+      // tests/setup.js replaces URL with a mock that cannot parse anything
+      const mockedURL = global.URL;
+      global.URL = require('url').URL;
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      try {
+        await expect(classifier.analyze('https://cdn.example.net/media/test.jpg', true))
+          .rejects.toThrow('No access to media on cdn.example.net');
+      } finally {
+        global.URL = mockedURL;
+      }
+    });
+  });
+
+  describe('loadModel', () => {
+    it('should load the model once and retry after a failure', async() => {
+      nsfwjs.load.mockRejectedValueOnce(new Error('Model failed to load'));
+      await expect(classifier.loadModel()).rejects.toThrow('Model failed to load');
+
+      const model = { classify: jest.fn() };
+      nsfwjs.load.mockResolvedValue(model);
+
+      await expect(classifier.loadModel()).resolves.toBe(model);
+      await classifier.loadModel();
+      expect(nsfwjs.load).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -3,10 +3,50 @@
  * Handles settings management, navigation, and advanced configuration
  */
 
+import { SITE_ADAPTERS, getPermissionOrigins } from '../adapters';
+import { genericAdapter } from '../adapters/generic';
+import { mastodonAdapter } from '../adapters/mastodon';
+import {
+  getPatternHost,
+  isValidDomainPattern,
+  matchesDomainPattern,
+  normalizeDomainPattern
+} from '../utils/domain-patterns';
+import {
+  DEFAULT_BLUR_STRENGTH,
+  getHideStyleFilter,
+  injectPixelateFilter
+} from '../utils/hide-styles';
+import {
+  ACCOUNT_ACTIONS,
+  isValidHandle,
+  mergeAccountRules,
+  normalizeHandle,
+  parseAccountList
+} from '../utils/account-rules';
+import { HASH_LISTS, parseHashList, serializeHashList } from '../utils/hash-lists';
+import { KEYWORD_SCOPES, getKeywordRuleError } from '../utils/keyword-rules';
+import { getIntensityCategories, getMediaCategories } from '../utils/media-categories';
+import { isValidHash, normalizeHash } from '../utils/perceptual-hash';
+import { getSettingSizeError } from '../utils/settings-storage';
+
+// Matches the background default; media within this many px of the viewport is evaluated
+const DEFAULT_EVALUATION_MARGIN = 1000;
+
+const HASH_LIST_NAMES = {
+  blocked: 'Always hide',
+  allowed: 'Never hide'
+};
+
 class XSafeOptions {
   constructor() {
     this.settings = null;
     this.stats = null;
+    this.ruleErrors = {};
+    this.hashLists = { blocked: [], allowed: [] };
+    this.siteAccess = {}; // Adapter id -> whether its hosts are granted
+    this.blacklistAccess = {}; // Blacklisted domain -> whether the generic filter may run there
+    this.openTabs = []; // Tabs whose URL XSafe can see, for previewing domain patterns
     this.currentSection = 'general';
     this.unsavedChanges = false;
 
@@ -19,6 +59,10 @@ class XSafeOptions {
     // Load settings and stats
     await this.loadSettings();
     await this.loadStats();
+    await this.loadRuleErrors();
+    await this.loadHashLists();
+    await this.loadSiteAccess();
+    await this.loadOpenTabs();
 
     // Set up navigation
     this.setupNavigation();
@@ -62,6 +106,32 @@ class XSafeOptions {
     }
   }
 
+  async loadRuleErrors() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_RULE_ERRORS' });
+      if (response.success) {
+        this.ruleErrors = response.data || {};
+      } else {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      console.error('[XSafe Options] Failed to load rule errors:', error);
+    }
+  }
+
+  async loadHashLists() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_HASH_LISTS' });
+      if (response.success) {
+        this.hashLists = response.data;
+      } else {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      console.error('[XSafe Options] Failed to load image lists:', error);
+    }
+  }
+
   setupNavigation() {
     const navItems = document.querySelectorAll('.nav-item');
     navItems.forEach(item => {
@@ -98,6 +168,12 @@ class XSafeOptions {
     // Content filtering
     this.setupContentFiltering();
 
+    // Image hash lists
+    this.setupHashLists();
+
+    // Per-account rules
+    this.setupAccountRules();
+
     // Domain management
     this.setupDomainManagement();
 
@@ -117,11 +193,52 @@ class XSafeOptions {
       });
     }
 
-    // Filter mode
-    const filterModeInputs = document.querySelectorAll('input[name="filterMode"]');
-    filterModeInputs.forEach(input => {
+    // Media categories
+    const categoryInputs = document.querySelectorAll('input[name="mediaCategory"]');
+    categoryInputs.forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.updateSetting('mediaCategories', {
+          ...getMediaCategories(this.settings),
+          [e.target.value]: e.target.checked
+        });
+      });
+    });
+
+    // Hiding style
+    const hideStyleInputs = document.querySelectorAll('input[name="hideStyle"]');
+    hideStyleInputs.forEach(input => {
       input.addEventListener('change', (e) => {
-        this.updateSetting('filterMode', e.target.value);
+        this.updateSetting('hideStyle', e.target.value);
+        this.updateHideStylePreview();
+      });
+    });
+
+    const blurStrength = document.getElementById('blurStrength');
+    if (blurStrength) {
+      // Preview while dragging, save on release
+      blurStrength.addEventListener('input', (e) => {
+        this.updateHideStylePreview(parseInt(e.target.value));
+      });
+
+      blurStrength.addEventListener('change', (e) => {
+        this.updateSetting('blurStrength', parseInt(e.target.value));
+        this.updateHideStylePreview();
+      });
+    }
+
+    // GIF handling
+    const gifHandlingInputs = document.querySelectorAll('input[name="gifHandling"]');
+    gifHandlingInputs.forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.updateSetting('gifHandling', e.target.value);
+      });
+    });
+
+    // Video handling
+    const videoHandlingInputs = document.querySelectorAll('input[name="videoHandling"]');
+    videoHandlingInputs.forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.updateSetting('videoHandling', e.target.value);
       });
     });
 
@@ -139,9 +256,28 @@ class XSafeOptions {
         this.updateSetting('showClickToReveal', e.target.checked);
       });
     }
+
+    // On-device image analysis
+    const classifierEnabled = document.getElementById('classifierEnabled');
+    if (classifierEnabled) {
+      classifierEnabled.addEventListener('change', (e) => {
+        this.updateSetting('classifierEnabled', e.target.checked);
+      });
+    }
   }
 
   setupContentFiltering() {
+    const evaluationMargin = document.getElementById('evaluationMargin');
+    if (evaluationMargin) {
+      evaluationMargin.addEventListener('input', (e) => {
+        this.updateEvaluationMarginLabel(parseInt(e.target.value));
+      });
+
+      evaluationMargin.addEventListener('change', (e) => {
+        this.updateSetting('evaluationMargin', parseInt(e.target.value));
+      });
+    }
+
     // Intensity slider
     const intensityRange = document.getElementById('intensityRange');
     if (intensityRange) {
@@ -169,10 +305,20 @@ class XSafeOptions {
       });
     });
 
-    // Custom rules
+    // Keyword and custom rules
+    this.setupKeywordRules();
     this.setupCustomRules();
   }
 
+  setupKeywordRules() {
+    const addKeywordRuleBtn = document.getElementById('addKeywordRuleBtn');
+    if (addKeywordRuleBtn) {
+      addKeywordRuleBtn.addEventListener('click', () => {
+        this.addKeywordRule();
+      });
+    }
+  }
+
   setupCustomRules() {
     const addRuleBtn = document.getElementById('addRuleBtn');
     if (addRuleBtn) {
@@ -183,6 +329,56 @@ class XSafeOptions {
   }
 
   setupDomainManagement() {
+    // Enable or disable optional sites
+    const supportedSites = document.getElementById('supportedSites');
+    if (supportedSites) {
+      supportedSites.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-site]');
+        if (button) {
+          this.toggleSiteAccess(button.getAttribute('data-site'));
+        }
+      });
+    }
+
+    // Mastodon instances are granted and saved as they are added
+    const addMastodonInstanceBtn = document.getElementById('addMastodonInstanceBtn');
+    const mastodonInput = document.getElementById('mastodonInput');
+
+    if (addMastodonInstanceBtn && mastodonInput) {
+      addMastodonInstanceBtn.addEventListener('click', () => {
+        this.addMastodonInstance();
+      });
+
+      mastodonInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.addMastodonInstance();
+        }
+      });
+    }
+
+    const mastodonInstances = document.getElementById('mastodonInstances');
+    if (mastodonInstances) {
+      mastodonInstances.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-instance]');
+        if (button) {
+          this.removeMastodonInstance(button.getAttribute('data-instance'));
+        }
+      });
+    }
+
+    // Media source rules
+    const addMediaSourceDenyBtn = document.getElementById('addMediaSourceDenyBtn');
+    const addMediaSourceAllowBtn = document.getElementById('addMediaSourceAllowBtn');
+
+    if (addMediaSourceDenyBtn && addMediaSourceAllowBtn) {
+      addMediaSourceDenyBtn.addEventListener('click', () => {
+        this.addMediaSourceRule('deny');
+      });
+      addMediaSourceAllowBtn.addEventListener('click', () => {
+        this.addMediaSourceRule('allow');
+      });
+    }
+
     // Whitelist management
     const addWhitelistDomainBtn = document.getElementById('addWhitelistDomainBtn');
     const whitelistInput = document.getElementById('whitelistInput');
@@ -197,6 +393,10 @@ class XSafeOptions {
           this.addDomain('whitelist');
         }
       });
+
+      whitelistInput.addEventListener('input', () => {
+        this.renderPatternPreview('whitelist');
+      });
     }
 
     // Blacklist management
@@ -213,6 +413,93 @@ class XSafeOptions {
           this.addDomain('blacklist');
         }
       });
+
+      blacklistInput.addEventListener('input', () => {
+        this.renderPatternPreview('blacklist');
+      });
+    }
+  }
+
+  setupHashLists() {
+    const fileInput = document.getElementById('hashListFile');
+
+    document.querySelectorAll('.hash-list-panel').forEach(panel => {
+      const list = panel.getAttribute('data-list');
+
+      // List edits are saved right away, not with the rest of the settings
+      panel.addEventListener('change', (e) => {
+        e.stopPropagation();
+      });
+
+      panel.querySelector('.hash-add-btn').addEventListener('click', () => {
+        this.addHash(list);
+      });
+
+      panel.querySelector('.hash-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.addHash(list);
+        }
+      });
+
+      panel.querySelector('.hash-import-btn').addEventListener('click', () => {
+        if (fileInput) {
+          fileInput.setAttribute('data-list', list);
+          fileInput.click();
+        }
+      });
+
+      panel.querySelector('.hash-export-btn').addEventListener('click', () => {
+        this.exportHashList(list);
+      });
+    });
+
+    if (fileInput) {
+      fileInput.addEventListener('change', (e) => {
+        e.stopPropagation();
+
+        const file = e.target.files[0];
+        if (file) {
+          this.importHashList(fileInput.getAttribute('data-list'), file);
+        }
+        fileInput.value = '';
+      });
+    }
+  }
+
+  setupAccountRules() {
+    const fileInput = document.getElementById('accountListFile');
+
+    document.querySelectorAll('.account-list-panel').forEach(panel => {
+      const action = panel.getAttribute('data-action');
+
+      panel.querySelector('.account-add-btn').addEventListener('click', () => {
+        this.addAccount(action);
+      });
+
+      panel.querySelector('.account-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.addAccount(action);
+        }
+      });
+
+      panel.querySelector('.account-import-btn').addEventListener('click', () => {
+        if (fileInput) {
+          fileInput.setAttribute('data-action', action);
+          fileInput.click();
+        }
+      });
+    });
+
+    if (fileInput) {
+      fileInput.addEventListener('change', (e) => {
+        e.stopPropagation();
+
+        const file = e.target.files[0];
+        if (file) {
+          this.importAccountList(fileInput.getAttribute('data-action'), file);
+        }
+        fileInput.value = '';
+      });
     }
   }
 
@@ -280,6 +567,8 @@ class XSafeOptions {
     this.updateGeneralSettings();
     this.updateContentFiltering();
     this.updateDomainLists();
+    this.updateHashLists();
+    this.updateAccountRules();
     this.updateStatistics();
   }
 
@@ -292,10 +581,35 @@ class XSafeOptions {
       enableFiltering.checked = this.settings.enabled;
     }
 
-    // Filter mode
-    const filterModeInputs = document.querySelectorAll('input[name="filterMode"]');
-    filterModeInputs.forEach(input => {
-      input.checked = input.value === this.settings.filterMode;
+    // Media categories
+    const categories = getMediaCategories(this.settings);
+    const categoryInputs = document.querySelectorAll('input[name="mediaCategory"]');
+    categoryInputs.forEach(input => {
+      input.checked = categories[input.value] !== false;
+    });
+
+    // Hiding style
+    const hideStyleInputs = document.querySelectorAll('input[name="hideStyle"]');
+    hideStyleInputs.forEach(input => {
+      input.checked = input.value === (this.settings.hideStyle || 'hide');
+    });
+
+    const blurStrength = document.getElementById('blurStrength');
+    if (blurStrength) {
+      blurStrength.value = this.settings.blurStrength || DEFAULT_BLUR_STRENGTH;
+    }
+    this.updateHideStylePreview();
+
+    // GIF handling
+    const gifHandlingInputs = document.querySelectorAll('input[name="gifHandling"]');
+    gifHandlingInputs.forEach(input => {
+      input.checked = input.value === (this.settings.gifHandling || 'auto');
+    });
+
+    // Video handling
+    const videoHandlingInputs = document.querySelectorAll('input[name="videoHandling"]');
+    videoHandlingInputs.forEach(input => {
+      input.checked = input.value === (this.settings.videoHandling || 'hide');
     });
 
     // Placeholder options
@@ -308,6 +622,39 @@ class XSafeOptions {
     if (showClickToReveal) {
       showClickToReveal.checked = this.settings.showClickToReveal;
     }
+
+    const classifierEnabled = document.getElementById('classifierEnabled');
+    if (classifierEnabled) {
+      classifierEnabled.checked = this.settings.classifierEnabled !== false;
+    }
+  }
+
+  updateHideStylePreview(previewStrength) {
+    if (!this.settings) {return;}
+
+    const strength = previewStrength || this.settings.blurStrength || DEFAULT_BLUR_STRENGTH;
+    const preview = document.querySelector('#hideStylePreview .hide-style-preview-sample');
+    const strengthValue = document.getElementById('blurStrengthValue');
+    const blurStrength = document.getElementById('blurStrength');
+    const hideStyle = this.settings.hideStyle || 'hide';
+
+    if (strengthValue) {
+      strengthValue.textContent = `${strength}px`;
+    }
+
+    // Strength only means something for blur and pixelate
+    if (blurStrength) {
+      blurStrength.disabled = !['blur', 'pixelate'].includes(hideStyle);
+    }
+
+    if (!preview) {return;}
+
+    if (hideStyle === 'pixelate') {
+      injectPixelateFilter(document, strength);
+    }
+
+    preview.style.filter = getHideStyleFilter(hideStyle, strength) || '';
+    preview.classList.toggle('hidden', hideStyle === 'hide');
   }
 
   updateContentFiltering() {
@@ -321,21 +668,203 @@ class XSafeOptions {
         'moderate': 1,
         'strict': 2
       };
-      const value = intensityMap[this.settings.intensityLevel] || 1;
+      const value = intensityMap[this.settings.intensityLevel] ?? 1;
       intensityRange.value = value;
       this.updateIntensityUI(value);
     }
 
-    // Custom rules
+    const evaluationMargin = document.getElementById('evaluationMargin');
+    if (evaluationMargin) {
+      evaluationMargin.value = this.settings.evaluationMargin ?? DEFAULT_EVALUATION_MARGIN;
+      this.updateEvaluationMarginLabel(parseInt(evaluationMargin.value));
+    }
+
+    // Keyword and custom rules
+    this.renderKeywordRules();
     this.renderCustomRules();
   }
 
+  updateEvaluationMarginLabel(margin) {
+    const label = document.getElementById('evaluationMarginValue');
+    if (label) {
+      label.textContent = `${margin}px`;
+    }
+  }
+
   updateIntensityUI(value) {
     const intensityOptions = document.querySelectorAll('.intensity-option');
     intensityOptions.forEach(option => {
       const optionValue = parseInt(option.getAttribute('data-value'));
       option.classList.toggle('active', optionValue === value);
     });
+
+    this.updateMediaCategoryAvailability(['permissive', 'moderate', 'strict'][value] || 'moderate');
+  }
+
+  updateMediaCategoryAvailability(intensityLevel) {
+    // Toggles for categories the level never filters would silently do nothing
+    const filtered = getIntensityCategories(intensityLevel);
+    const ignored = [];
+    document.querySelectorAll('input[name="mediaCategory"]').forEach(input => {
+      input.disabled = !filtered.includes(input.value);
+      const option = input.closest('.checkbox-option');
+      option.classList.toggle('disabled', input.disabled);
+      if (input.disabled) {
+        ignored.push(option.querySelector('.checkbox-label').textContent);
+      }
+    });
+
+    const note = document.getElementById('mediaCategoryNote');
+    if (note) {
+      const levelName = intensityLevel.charAt(0).toUpperCase() + intensityLevel.slice(1);
+      note.textContent = ignored.length > 0 ?
+        `${ignored.join(', ')} are not filtered at ${levelName} intensity. Choose Strict to filter them.` :
+        '';
+      note.hidden = ignored.length === 0;
+    }
+  }
+
+  renderKeywordRules() {
+    const container = document.getElementById('keywordRules');
+    if (!container || !this.settings) {return;}
+
+    container.innerHTML = '';
+
+    const rules = this.settings.keywordRules || [];
+    rules.forEach((rule, index) => {
+      container.appendChild(this.createKeywordRuleElement(rule, index));
+    });
+
+    if (rules.length === 0) {
+      const emptyMessage = document.createElement('div');
+      emptyMessage.className = 'empty-message';
+      emptyMessage.style.cssText = 'text-align: center; color: var(--text-muted); padding: 24px;';
+      emptyMessage.textContent = 'No keyword rules defined. Click "Add Rule" to create one.';
+      container.appendChild(emptyMessage);
+    }
+  }
+
+  createKeywordRuleElement(rule, index) {
+    const ruleDiv = document.createElement('div');
+    ruleDiv.className = 'custom-rule-item keyword-rule-item';
+
+    ruleDiv.innerHTML = `
+      <input type="checkbox" class="rule-enabled" title="Enable rule" data-field="enabled">
+      <input type="text" class="rule-input" placeholder="Keyword, #hashtag or pattern" data-field="pattern">
+      <select class="rule-select" data-field="type" title="Match as">
+        <option value="keyword">Keyword</option>
+        <option value="hashtag">Hashtag</option>
+        <option value="regex">Regular expression</option>
+      </select>
+      <select class="rule-select" data-field="action" title="When it matches">
+        <option value="media">Hide media</option>
+        <option value="post">Hide post</option>
+      </select>
+      <button class="btn btn-small btn-secondary rule-remove">
+        <span class="btn-icon">🗑️</span>
+      </button>
+      <div class="rule-options">
+        <label class="rule-option">
+          <input type="checkbox" data-field="wholeWord"><span>Whole word</span>
+        </label>
+        <label class="rule-option"><input type="checkbox" data-scope="timeline"><span>Timeline</span></label>
+        <label class="rule-option"><input type="checkbox" data-scope="replies"><span>Replies</span></label>
+        <label class="rule-option"><input type="checkbox" data-scope="search"><span>Search</span></label>
+      </div>
+      <div class="rule-error"></div>
+    `;
+
+    // Set values as properties so quotes in patterns can't break the markup
+    const scopes = rule.scopes && rule.scopes.length > 0 ? rule.scopes : KEYWORD_SCOPES;
+    ruleDiv.querySelector('[data-field="enabled"]').checked = rule.enabled !== false;
+    ruleDiv.querySelector('[data-field="pattern"]').value = rule.pattern || '';
+    ruleDiv.querySelector('[data-field="type"]').value = rule.type || 'keyword';
+    ruleDiv.querySelector('[data-field="action"]').value = rule.action || 'media';
+    ruleDiv.querySelectorAll('[data-scope]').forEach(input => {
+      input.checked = scopes.includes(input.getAttribute('data-scope'));
+    });
+
+    // Hashtags always match whole tags, and regexes bring their own boundaries
+    const wholeWord = ruleDiv.querySelector('[data-field="wholeWord"]');
+    wholeWord.checked = Boolean(rule.wholeWord);
+    wholeWord.disabled = Boolean(rule.type) && rule.type !== 'keyword';
+
+    if (rule.pattern) {
+      this.showRuleError(ruleDiv, getKeywordRuleError(rule));
+    }
+
+    ruleDiv.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const field = e.target.getAttribute('data-field');
+        this.updateKeywordRule(index, field, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+      });
+    });
+
+    ruleDiv.querySelectorAll('[data-scope]').forEach(input => {
+      input.addEventListener('change', () => {
+        const checked = Array.from(ruleDiv.querySelectorAll('[data-scope]:checked'))
+          .map(scopeInput => scopeInput.getAttribute('data-scope'));
+        this.updateKeywordRule(index, 'scopes', checked);
+      });
+    });
+
+    ruleDiv.querySelector('.rule-remove').addEventListener('click', () => {
+      this.removeKeywordRule(index);
+    });
+
+    return ruleDiv;
+  }
+
+  addKeywordRule() {
+    if (!this.settings.keywordRules) {
+      this.settings.keywordRules = [];
+    }
+
+    this.settings.keywordRules.push({
+      pattern: '',
+      type: 'keyword',
+      wholeWord: false,
+      scopes: [...KEYWORD_SCOPES],
+      action: 'media',
+      enabled: true
+    });
+
+    this.renderKeywordRules();
+    this.markUnsavedChanges();
+  }
+
+  updateKeywordRule(index, field, value) {
+    const rule = this.settings.keywordRules[index];
+    if (!rule) {
+      return;
+    }
+
+    rule[field] = value;
+    this.markUnsavedChanges();
+
+    if (field === 'type') {
+      // Re-render so the whole-word option follows the type
+      this.renderKeywordRules();
+    }
+
+    if (field === 'pattern' || field === 'type') {
+      const ruleDiv = document.querySelectorAll('.keyword-rule-item')[index];
+      const error = rule.pattern ? getKeywordRuleError(rule) : null;
+      if (ruleDiv) {
+        this.showRuleError(ruleDiv, error);
+      }
+      if (error) {
+        this.showToast(`Keyword rule ${index + 1}: ${error}`, 'error');
+      }
+    } else if (field === 'scopes' && value.length === 0) {
+      this.showToast(`Keyword rule ${index + 1} applies everywhere until a scope is picked`, 'error');
+    }
+  }
+
+  removeKeywordRule(index) {
+    this.settings.keywordRules.splice(index, 1);
+    this.renderKeywordRules();
+    this.markUnsavedChanges();
   }
 
   renderCustomRules() {
@@ -364,15 +893,29 @@ class XSafeOptions {
     ruleDiv.className = 'custom-rule-item';
 
     ruleDiv.innerHTML = `
+      <input type="checkbox" class="rule-enabled" title="Enable rule" data-index="${index}" data-field="enabled">
       <input type="text" class="rule-input" placeholder="CSS selector (e.g., .ads, #popup)"
-             value="${rule.selector || ''}" data-index="${index}" data-field="selector">
+             data-index="${index}" data-field="selector">
       <input type="text" class="rule-description" placeholder="Description"
-             value="${rule.description || ''}" data-index="${index}" data-field="description">
+             data-index="${index}" data-field="description">
       <button class="btn btn-small btn-secondary rule-remove" data-index="${index}">
         <span class="btn-icon">🗑️</span>
       </button>
+      <div class="rule-options">
+        <label class="rule-option" title="Collapse the post containing a match instead of hiding the match">
+          <input type="checkbox" data-index="${index}" data-field="hidePost"><span>Hide whole post</span>
+        </label>
+      </div>
+      <div class="rule-error"></div>
     `;
 
+    // Set values as properties so quotes in selectors can't break the markup
+    ruleDiv.querySelector('.rule-enabled').checked = rule.enabled !== false;
+    ruleDiv.querySelector('[data-field="hidePost"]').checked = Boolean(rule.hidePost);
+    ruleDiv.querySelector('.rule-input').value = rule.selector || '';
+    ruleDiv.querySelector('.rule-description').value = rule.description || '';
+    this.showRuleError(ruleDiv, this.getRuleError(rule.selector));
+
     // Add event listeners
     const inputs = ruleDiv.querySelectorAll('input');
     inputs.forEach(input => {
@@ -380,7 +923,7 @@ class XSafeOptions {
         this.updateCustomRule(
           parseInt(e.target.getAttribute('data-index')),
           e.target.getAttribute('data-field'),
-          e.target.value
+          e.target.type === 'checkbox' ? e.target.checked : e.target.value
         );
       });
     });
@@ -393,6 +936,38 @@ class XSafeOptions {
     return ruleDiv;
   }
 
+  getRuleError(selector) {
+    const trimmed = (selector || '').trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    if (!this.isValidSelector(trimmed)) {
+      return 'Invalid CSS selector';
+    }
+
+    // Errors reported by content scripts while scanning pages
+    const reported = this.ruleErrors[trimmed];
+    return reported ? reported.error : null;
+  }
+
+  isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  showRuleError(ruleDiv, message) {
+    const errorEl = ruleDiv.querySelector('.rule-error');
+    ruleDiv.classList.toggle('invalid', Boolean(message));
+    if (errorEl) {
+      errorEl.textContent = message || '';
+    }
+  }
+
   addCustomRule() {
     if (!this.settings.customRules) {
       this.settings.customRules = [];
@@ -412,6 +987,17 @@ class XSafeOptions {
     if (this.settings.customRules[index]) {
       this.settings.customRules[index][field] = value;
       this.markUnsavedChanges();
+
+      if (field === 'selector') {
+        const ruleDiv = document.querySelectorAll('#customRules .custom-rule-item')[index];
+        const error = this.getRuleError(value);
+        if (ruleDiv) {
+          this.showRuleError(ruleDiv, error);
+        }
+        if (error) {
+          this.showToast(`Rule ${index + 1}: ${error}`, 'error');
+        }
+      }
     }
   }
 
@@ -421,11 +1007,437 @@ class XSafeOptions {
     this.markUnsavedChanges();
   }
 
+  updateAccountRules() {
+    ACCOUNT_ACTIONS.forEach(action => this.renderAccountList(action));
+  }
+
+  renderAccountList(action) {
+    const listId = action === 'deny' ? 'deniedAccounts' : 'allowedAccounts';
+    const container = document.getElementById(listId);
+    const count = document.getElementById(action === 'deny' ? 'deniedAccountCount' : 'allowedAccountCount');
+    if (!container || !this.settings) {return;}
+
+    const rules = (this.settings.accountRules || []).filter(rule => rule.action === action);
+    if (count) {
+      count.textContent = rules.length;
+    }
+
+    container.innerHTML = '';
+
+    if (rules.length === 0) {
+      const emptyMessage = document.createElement('div');
+      emptyMessage.className = 'empty-message';
+      emptyMessage.style.cssText = 'text-align: center; color: var(--text-muted); padding: 16px;';
+      emptyMessage.textContent = 'No accounts';
+      container.appendChild(emptyMessage);
+      return;
+    }
+
+    rules.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = 'domain-item';
+
+      const name = document.createElement('span');
+      name.className = 'domain-name';
+      name.textContent = `@${rule.handle}`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'domain-remove';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        this.removeAccount(rule.handle);
+      });
+
+      if (action === 'deny') {
+        item.append(name, this.createHidePostToggle(rule), removeBtn);
+      } else {
+        item.append(name, removeBtn);
+      }
+      container.appendChild(item);
+    });
+  }
+
+  createHidePostToggle(rule) {
+    const label = document.createElement('label');
+    label.className = 'rule-option account-hide-post';
+    label.title = 'Collapse their posts to a one-line stub instead of hiding only the media';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(rule.hidePost);
+    checkbox.addEventListener('change', () => {
+      rule.hidePost = checkbox.checked;
+      this.markUnsavedChanges();
+    });
+
+    const text = document.createElement('span');
+    text.textContent = 'Whole posts';
+
+    label.append(checkbox, text);
+    return label;
+  }
+
+  addAccount(action) {
+    const panel = document.querySelector(`.account-list-panel[data-action="${action}"]`);
+    const input = panel && panel.querySelector('.account-input');
+    if (!input || !this.settings) {return;}
+
+    const handle = normalizeHandle(input.value);
+    if (!handle) {return;}
+
+    if (!isValidHandle(handle)) {
+      this.showToast('Please enter a valid handle, such as @someone', 'error');
+      return;
+    }
+
+    if (!this.addAccountRules([{ handle, action }])) {return;}
+    input.value = '';
+    this.showToast(`Media from @${handle} will ${action === 'deny' ? 'always be hidden' : 'always show'}`, 'success');
+  }
+
+  removeAccount(handle) {
+    this.settings.accountRules = (this.settings.accountRules || []).filter(rule => rule.handle !== handle);
+    this.updateAccountRules();
+    this.markUnsavedChanges();
+  }
+
+  async importAccountList(action, file) {
+    let parsed;
+    try {
+      parsed = parseAccountList(await file.text(), action);
+    } catch (error) {
+      console.error('[XSafe Options] Failed to read account list:', error);
+      this.showToast('Could not read that account list file', 'error');
+      return;
+    }
+
+    if (parsed.rules.length === 0) {
+      this.showToast('No valid handles found in that file', 'error');
+      return;
+    }
+
+    if (!this.addAccountRules(parsed.rules)) {return;}
+    this.showToast(
+      `Imported ${parsed.rules.length} account${parsed.rules.length === 1 ? '' : 's'}${parsed.invalid ? `, skipped ${parsed.invalid} invalid` : ''}`,
+      'success'
+    );
+  }
+
+  addAccountRules(rules) {
+    // A handle lives in one list; adding it again moves it
+    const accountRules = mergeAccountRules(this.settings.accountRules, rules);
+
+    // Refuse up front rather than fail when saving, so nothing is silently lost
+    const sizeError = getSettingSizeError('accountRules', accountRules);
+    if (sizeError) {
+      this.showToast(sizeError, 'error');
+      return false;
+    }
+
+    this.settings.accountRules = accountRules;
+    this.updateAccountRules();
+    this.markUnsavedChanges();
+    return true;
+  }
+
+  updateHashLists() {
+    HASH_LISTS.forEach(list => this.renderHashList(list));
+  }
+
+  renderHashList(list) {
+    const container = document.getElementById(`${list}Hashes`);
+    const count = document.getElementById(`${list}HashCount`);
+    const entries = this.hashLists[list] || [];
+
+    if (count) {
+      count.textContent = entries.length;
+    }
+    if (!container) {return;}
+
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+      const emptyMessage = document.createElement('div');
+      emptyMessage.className = 'empty-message';
+      emptyMessage.style.cssText = 'text-align: center; color: var(--text-muted); padding: 16px;';
+      emptyMessage.textContent = 'No images in this list';
+      container.appendChild(emptyMessage);
+      return;
+    }
+
+    entries.forEach(entry => {
+      container.appendChild(this.createHashElement(entry, list));
+    });
+  }
+
+  createHashElement(entry, list) {
+    const hashDiv = document.createElement('div');
+    hashDiv.className = 'domain-item';
+
+    // Labels come from imported files, so they are set as text only
+    const hashValue = document.createElement('code');
+    hashValue.className = 'hash-value';
+    hashValue.textContent = entry.hash;
+
+    const label = document.createElement('span');
+    label.className = 'hash-label';
+    label.textContent = entry.label || '';
+    label.title = entry.label || '';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'domain-remove';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      this.removeHash(list, entry.hash);
+    });
+
+    hashDiv.appendChild(hashValue);
+    hashDiv.appendChild(label);
+    hashDiv.appendChild(removeBtn);
+    return hashDiv;
+  }
+
+  async addHash(list) {
+    const input = document.querySelector(`.hash-list-panel[data-list="${list}"] .hash-input`);
+    if (!input) {return;}
+
+    const hash = normalizeHash(input.value);
+    if (!hash) {return;}
+
+    if (!isValidHash(hash)) {
+      this.showToast('A hash is 16 hexadecimal characters', 'error');
+      return;
+    }
+
+    if (await this.saveHashes(list, [{ hash }])) {
+      input.value = '';
+      this.showToast(`Image added to "${HASH_LIST_NAMES[list]}"`, 'success');
+    }
+  }
+
+  async removeHash(list, hash) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'REMOVE_HASH', data: { list, hash } });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await this.loadHashLists();
+      this.updateHashLists();
+      this.showToast(`Image removed from "${HASH_LIST_NAMES[list]}"`, 'success');
+    } catch (error) {
+      console.error('[XSafe Options] Failed to remove hash:', error);
+      this.showToast('Failed to update image list', 'error');
+    }
+  }
+
+  async saveHashes(list, entries) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'ADD_HASHES', data: { list, entries } });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await this.loadHashLists();
+      this.updateHashLists();
+      return response.data;
+    } catch (error) {
+      console.error('[XSafe Options] Failed to save hashes:', error);
+      this.showToast('Failed to update image list', 'error');
+      return null;
+    }
+  }
+
+  async importHashList(list, file) {
+    let parsed;
+    try {
+      parsed = parseHashList(await file.text());
+    } catch (error) {
+      console.error('[XSafe Options] Failed to read image list:', error);
+      this.showToast('Could not read that image list file', 'error');
+      return;
+    }
+
+    if (parsed.entries.length === 0) {
+      this.showToast('No valid hashes found in that file', 'error');
+      return;
+    }
+
+    const result = await this.saveHashes(list, parsed.entries);
+    if (result) {
+      const skipped = parsed.invalid + result.invalid;
+      this.showToast(
+        `Imported ${result.added} image${result.added === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} invalid` : ''}`,
+        'success'
+      );
+    }
+  }
+
+  exportHashList(list) {
+    const entries = this.hashLists[list] || [];
+    if (entries.length === 0) {
+      this.showToast('This list is empty', 'error');
+      return;
+    }
+
+    const blob = new Blob([serializeHashList(list, entries)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `xsafe-${list === 'blocked' ? 'always-hide' : 'never-hide'}-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
   updateDomainLists() {
+    this.renderSites();
+    this.renderMastodonInstances();
+    this.renderMediaSourceRules();
     this.renderDomainList('whitelist');
     this.renderDomainList('blacklist');
   }
 
+  async loadSiteAccess() {
+    try {
+      // Sites with user-added hosts are granted per host instead
+      const entries = await Promise.all(SITE_ADAPTERS.filter(adapter => !adapter.hostsSetting).map(async adapter => [
+        adapter.id,
+        !adapter.optional || await chrome.permissions.contains({ origins: getPermissionOrigins(adapter) })
+      ]));
+      this.siteAccess = Object.fromEntries(entries);
+
+      const domains = (this.settings && this.settings.blacklistedDomains) || [];
+      const domainEntries = await Promise.all(domains.map(async domain => {
+        const origins = this.getBlacklistOrigins(domain);
+        return [domain, origins.length === 0 || await chrome.permissions.contains({ origins })];
+      }));
+      this.blacklistAccess = Object.fromEntries(domainEntries);
+    } catch (error) {
+      console.error('[XSafe Options] Failed to load site access:', error);
+    }
+  }
+
+  async loadOpenTabs() {
+    try {
+      // Without the tabs permission, URLs are only visible on sites XSafe has access to
+      const tabs = await chrome.tabs.query({});
+      this.openTabs = tabs.filter(tab => tab.url && /^https?:/.test(tab.url));
+    } catch (error) {
+      console.error('[XSafe Options] Failed to load open tabs:', error);
+    }
+  }
+
+  getMatchingTabs(pattern) {
+    return this.openTabs.filter(tab => matchesDomainPattern(pattern, tab.url));
+  }
+
+  describeMatchingTabs(tabs) {
+    return `${tabs.length} open tab${tabs.length === 1 ? '' : 's'}`;
+  }
+
+  renderPatternPreview(type) {
+    const input = document.getElementById(`${type}Input`);
+    const preview = document.getElementById(`${type}Preview`);
+    if (!input || !preview) {return;}
+
+    const pattern = normalizeDomainPattern(input.value);
+    preview.hidden = !pattern;
+    preview.classList.toggle('invalid', Boolean(pattern) && !isValidDomainPattern(pattern));
+
+    if (!pattern) {
+      preview.textContent = '';
+    } else if (!isValidDomainPattern(pattern)) {
+      preview.textContent = 'Not a valid pattern. Try example.com, *.example.com or x.com/i/lists/*';
+    } else {
+      const tabs = this.getMatchingTabs(pattern);
+      const urls = tabs.slice(0, 3).map(tab => tab.url.replace(/^https?:\/\//, ''));
+      const more = tabs.length > urls.length ? `, and ${tabs.length - urls.length} more` : '';
+      preview.textContent = tabs.length === 0 ?
+        'Matches no open tabs' :
+        `Matches ${this.describeMatchingTabs(tabs)}: ${urls.join(', ')}${more}`;
+    }
+  }
+
+  renderSites() {
+    const container = document.getElementById('supportedSites');
+    if (!container) {return;}
+
+    container.innerHTML = '';
+
+    SITE_ADAPTERS.forEach(adapter => {
+      const item = document.createElement('div');
+      item.className = 'domain-item';
+
+      const name = document.createElement('span');
+      name.className = 'domain-name';
+      name.textContent = adapter.name;
+
+      const hosts = document.createElement('span');
+      hosts.className = 'site-hosts';
+      hosts.textContent = adapter.hostsSetting ? 'instances added below' : adapter.hosts.join(', ');
+      name.appendChild(hosts);
+
+      let control;
+      if (adapter.hostsSetting) {
+        const count = (this.settings && this.settings[adapter.hostsSetting] || []).length;
+        control = document.createElement('span');
+        control.className = 'site-status';
+        control.textContent = `${count} instance${count === 1 ? '' : 's'}`;
+      } else if (!adapter.optional) {
+        control = document.createElement('span');
+        control.className = 'site-status';
+        control.textContent = 'Always on';
+      } else {
+        const enabled = Boolean(this.siteAccess[adapter.id]);
+        control = document.createElement('button');
+        control.className = `btn btn-small ${enabled ? 'btn-secondary' : 'btn-primary'}`;
+        control.setAttribute('data-site', adapter.id);
+        control.textContent = enabled ? 'Disable' : 'Enable';
+      }
+
+      item.append(name, control);
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Ask for host access, telling the user when they decline. Callers must run straight from
+   * the user's click: Chrome only shows its permission prompt during a user gesture.
+   */
+  async requestOrigins(origins, siteName) {
+    const granted = await chrome.permissions.request({ origins });
+    if (!granted) {
+      this.showToast(`XSafe was not given access to ${siteName}`, 'error');
+    }
+    return granted;
+  }
+
+  async toggleSiteAccess(siteId) {
+    const adapter = SITE_ADAPTERS.find(site => site.id === siteId);
+    if (!adapter || !adapter.optional || adapter.hostsSetting) {return;}
+
+    const origins = getPermissionOrigins(adapter);
+
+    try {
+      if (this.siteAccess[siteId]) {
+        await chrome.permissions.remove({ origins });
+        this.siteAccess[siteId] = false;
+        this.showToast(`${adapter.name} filtering turned off`, 'success');
+      } else {
+        if (!await this.requestOrigins(origins, adapter.name)) {
+          return;
+        }
+        this.siteAccess[siteId] = true;
+        this.showToast(`${adapter.name} enabled. Reload open ${adapter.name} tabs to start filtering`, 'success');
+      }
+    } catch (error) {
+      console.error('[XSafe Options] Failed to update site access:', error);
+      this.showToast(`Failed to update access to ${adapter.name}`, 'error');
+    }
+
+    this.renderSites();
+  }
+
   renderDomainList(type) {
     const container = document.getElementById(`${type}Domains`);
     if (!container || !this.settings) {return;}
@@ -455,14 +1467,39 @@ class XSafeOptions {
     const domainDiv = document.createElement('div');
     domainDiv.className = 'domain-item';
 
-    domainDiv.innerHTML = `
-      <span class="domain-name">${domain}</span>
-      <button class="domain-remove" data-domain="${domain}" data-type="${type}">
-        Remove
-      </button>
-    `;
+    // Patterns may contain `&` and `;`, so they never go through innerHTML
+    const name = document.createElement('span');
+    name.className = 'domain-name';
+    name.textContent = domain;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'domain-remove';
+    removeBtn.setAttribute('data-domain', domain);
+    removeBtn.setAttribute('data-type', type);
+    removeBtn.textContent = 'Remove';
+
+    domainDiv.append(name, removeBtn);
+
+    const matchingTabs = this.getMatchingTabs(domain);
+    if (matchingTabs.length > 0) {
+      const matches = document.createElement('span');
+      matches.className = 'domain-matches';
+      matches.textContent = this.describeMatchingTabs(matchingTabs);
+      matches.title = matchingTabs.map(tab => tab.url).join('\n');
+      name.appendChild(matches);
+    }
+
+    // Domains blacklisted before access was requested per domain need it granted
+    if (type === 'blacklist' && this.blacklistAccess[domain] === false) {
+      const grantBtn = document.createElement('button');
+      grantBtn.className = 'btn btn-small btn-primary';
+      grantBtn.textContent = 'Grant access';
+      grantBtn.addEventListener('click', () => {
+        this.grantBlacklistAccess(domain);
+      });
+      domainDiv.insertBefore(grantBtn, removeBtn);
+    }
 
-    const removeBtn = domainDiv.querySelector('.domain-remove');
     removeBtn.addEventListener('click', (e) => {
       this.removeDomain(
         e.target.getAttribute('data-domain'),
@@ -473,16 +1510,16 @@ class XSafeOptions {
     return domainDiv;
   }
 
-  addDomain(type) {
+  async addDomain(type) {
     const input = document.getElementById(`${type}Input`);
     if (!input) {return;}
 
-    const domain = input.value.trim().toLowerCase();
+    const domain = normalizeDomainPattern(input.value);
     if (!domain) {return;}
 
     // Validate domain format
-    if (!this.isValidDomain(domain)) {
-      this.showToast('Please enter a valid domain name', 'error');
+    if (!isValidDomainPattern(domain)) {
+      this.showToast('Please enter a domain or pattern such as *.example.com or x.com/i/lists/*', 'error');
       return;
     }
 
@@ -494,8 +1531,14 @@ class XSafeOptions {
       return;
     }
 
+    // XSafe only runs on blacklisted sites it has been given access to
+    if (type === 'blacklist' && !await this.grantBlacklistAccess(domain)) {
+      return;
+    }
+
     domains.push(domain);
     input.value = '';
+    this.renderPatternPreview(type);
 
     this.renderDomainList(type);
     this.markUnsavedChanges();
@@ -509,12 +1552,235 @@ class XSafeOptions {
 
     if (index > -1) {
       domains.splice(index, 1);
+      if (type === 'blacklist') {
+        this.releaseBlacklistAccess(domain);
+      }
       this.renderDomainList(type);
       this.markUnsavedChanges();
       this.showToast(`Domain removed from ${type}`, 'success');
     }
   }
 
+  renderMastodonInstances() {
+    const container = document.getElementById('mastodonInstances');
+    if (!container || !this.settings) {return;}
+
+    const instances = this.settings.mastodonInstances || [];
+    container.innerHTML = '';
+
+    if (instances.length === 0) {
+      const emptyMessage = document.createElement('div');
+      emptyMessage.className = 'empty-message';
+      emptyMessage.style.cssText = 'text-align: center; color: var(--text-muted); padding: 16px;';
+      emptyMessage.textContent = 'No Mastodon instances';
+      container.appendChild(emptyMessage);
+      return;
+    }
+
+    instances.forEach(instance => {
+      const item = document.createElement('div');
+      item.className = 'domain-item';
+
+      const name = document.createElement('span');
+      name.className = 'domain-name';
+      name.textContent = instance;
+
+      const remove = document.createElement('button');
+      remove.className = 'domain-remove';
+      remove.setAttribute('data-instance', instance);
+      remove.textContent = 'Remove';
+
+      item.append(name, remove);
+      container.appendChild(item);
+    });
+  }
+
+  async addMastodonInstance() {
+    const input = document.getElementById('mastodonInput');
+    if (!input || !this.settings) {return;}
+
+    // Accept pasted URLs and @user@instance handles as well as bare domains
+    const instance = input.value.trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^@?[^@/]*@/, '')
+      .split('/')[0];
+    if (!instance) {return;}
+
+    if (!this.isValidDomain(instance)) {
+      this.showToast('Please enter a valid domain name', 'error');
+      return;
+    }
+
+    const instances = this.settings.mastodonInstances || [];
+    if (instances.includes(instance)) {
+      this.showToast('Instance already exists in the list', 'error');
+      return;
+    }
+
+    try {
+      if (!await this.requestOrigins(this.getMastodonOrigins(instance), instance)) {
+        return;
+      }
+
+      await this.saveMastodonInstances([...instances, instance]);
+      input.value = '';
+      this.showToast(`${instance} added. Reload its open tabs to start filtering`, 'success');
+    } catch (error) {
+      console.error('[XSafe Options] Failed to add Mastodon instance:', error);
+      this.showToast('Failed to add Mastodon instance', 'error');
+    }
+  }
+
+  async removeMastodonInstance(instance) {
+    if (!this.settings) {return;}
+
+    try {
+      await this.saveMastodonInstances((this.settings.mastodonInstances || []).filter(item => item !== instance));
+
+      // The generic filter still needs access if the instance is also blacklisted
+      const blacklistedHosts = (this.settings.blacklistedDomains || [])
+        .map(pattern => getPatternHost(pattern).replace(/^\*\./, ''));
+      if (!blacklistedHosts.includes(instance)) {
+        await chrome.permissions.remove({ origins: this.getMastodonOrigins(instance) });
+      }
+      this.showToast(`${instance} removed`, 'success');
+    } catch (error) {
+      console.error('[XSafe Options] Failed to remove Mastodon instance:', error);
+      this.showToast('Failed to remove Mastodon instance', 'error');
+    }
+  }
+
+  getMastodonOrigins(instance) {
+    // The instance's pages plus the subdomains its media is usually served from
+    return getPermissionOrigins(mastodonAdapter, { mastodonInstances: [instance] });
+  }
+
+  async saveMastodonInstances(instances) {
+    // Saved right away: the background registers the content script as soon as the list changes
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTING',
+      key: 'mastodonInstances',
+      value: instances
+    });
+    if (!response || !response.success) {
+      throw new Error(response && response.error);
+    }
+
+    this.settings.mastodonInstances = instances;
+    this.renderMastodonInstances();
+    this.renderSites();
+  }
+
+  renderMediaSourceRules() {
+    const container = document.getElementById('mediaSourceRules');
+    if (!container || !this.settings) {return;}
+
+    const rules = this.settings.mediaSourceRules || [];
+    container.innerHTML = '';
+
+    if (rules.length === 0) {
+      const emptyMessage = document.createElement('div');
+      emptyMessage.className = 'empty-message';
+      emptyMessage.style.cssText = 'text-align: center; color: var(--text-muted); padding: 16px;';
+      emptyMessage.textContent = 'No media source rules';
+      container.appendChild(emptyMessage);
+      return;
+    }
+
+    rules.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = 'domain-item';
+
+      const name = document.createElement('span');
+      name.className = 'domain-name';
+      name.textContent = rule.pattern;
+
+      const action = document.createElement('span');
+      action.className = 'domain-matches';
+      action.textContent = rule.action === 'allow' ? 'Never hide' : 'Always hide';
+      name.appendChild(action);
+
+      const remove = document.createElement('button');
+      remove.className = 'domain-remove';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        this.removeMediaSourceRule(rule.pattern);
+      });
+
+      item.append(name, remove);
+      container.appendChild(item);
+    });
+  }
+
+  addMediaSourceRule(action) {
+    const input = document.getElementById('mediaSourceInput');
+    if (!input || !this.settings) {return;}
+
+    const pattern = normalizeDomainPattern(input.value);
+    if (!pattern) {return;}
+
+    if (!isValidDomainPattern(pattern)) {
+      this.showToast('Please enter a host or pattern such as *.youtube.com', 'error');
+      return;
+    }
+
+    // Adding a pattern again switches its action
+    const rules = (this.settings.mediaSourceRules || []).filter(rule => rule.pattern !== pattern);
+    rules.push({ pattern, action });
+    this.settings.mediaSourceRules = rules;
+    input.value = '';
+
+    this.renderMediaSourceRules();
+    this.markUnsavedChanges();
+    this.showToast(`Media from ${pattern} will ${action === 'allow' ? 'never' : 'always'} be hidden`, 'success');
+  }
+
+  removeMediaSourceRule(pattern) {
+    this.settings.mediaSourceRules = (this.settings.mediaSourceRules || []).filter(rule => rule.pattern !== pattern);
+    this.renderMediaSourceRules();
+    this.markUnsavedChanges();
+  }
+
+  getBlacklistOrigins(domain) {
+    // Empty for domains another site adapter (X, a Mastodon instance, ...) already covers
+    return getPermissionOrigins(genericAdapter, { ...this.settings, blacklistedDomains: [domain] });
+  }
+
+  async grantBlacklistAccess(domain) {
+    const origins = this.getBlacklistOrigins(domain);
+    if (origins.length === 0) {
+      return true;
+    }
+
+    try {
+      const granted = await this.requestOrigins(origins, domain);
+      this.blacklistAccess[domain] = granted;
+      this.renderDomainList('blacklist');
+      return granted;
+    } catch (error) {
+      console.error('[XSafe Options] Failed to request domain access:', error);
+      this.showToast(`Failed to request access to ${domain}`, 'error');
+      return false;
+    }
+  }
+
+  async releaseBlacklistAccess(domain) {
+    const origins = this.getBlacklistOrigins(domain);
+    delete this.blacklistAccess[domain];
+
+    // Other patterns on the same host (e.g. different paths) still need it
+    const host = getPatternHost(domain);
+    if (origins.length === 0 || this.settings.blacklistedDomains.some(pattern => getPatternHost(pattern) === host)) {
+      return;
+    }
+
+    try {
+      await chrome.permissions.remove({ origins });
+    } catch (error) {
+      console.error('[XSafe Options] Failed to release domain access:', error);
+    }
+  }
+
   isValidDomain(domain) {
     const domainRegex = /^[a-z0-9]+([\-\.]{1}[a-z0-9]+)*\.[a-z]{2,}$/i;
     return domainRegex.test(domain);
@@ -599,7 +1865,7 @@ class XSafeOptions {
     this.markUnsavedChanges();
 
     // Some settings need immediate effect
-    if (['enabled', 'filterMode', 'intensityLevel'].includes(key)) {
+    if (['enabled', 'mediaCategories', 'intensityLevel'].includes(key)) {
       this.scheduleAutoSave();
     }
   }
@@ -615,7 +1881,8 @@ class XSafeOptions {
         });
 
         if (!response.success) {
-          throw new Error(`Failed to save ${key}: ${response.error}`);
+          console.error(`[XSafe Options] Failed to save ${key}:`, response.error);
+          throw new Error(response.error);
         }
       }
 
@@ -629,7 +1896,7 @@ class XSafeOptions {
       this.showToast('Settings saved successfully!', 'success');
     } catch (error) {
       console.error('[XSafe Options] Failed to save settings:', error);
-      this.showToast('Failed to save settings', 'error');
+      this.showToast(error.message ? `Failed to save settings: ${error.message}` : 'Failed to save settings', 'error');
     }
   }
 
@@ -11,6 +11,8 @@ class XSafePopup {
     this.settings = null;
     this.currentStats = null;
     this.currentDomain = null;
+    this.currentTabId = null;
+    this.pageStats = null; // Media hidden on the current tab, per type
 
     this.init();
   }
@@ -24,6 +26,7 @@ class XSafePopup {
     // Load settings and stats
     await this.loadSettings();
     await this.loadStats();
+    await this.loadPageStats();
 
     // Set up UI event listeners
     this.setupEventListeners();
@@ -40,6 +43,7 @@ class XSafePopup {
       if (tab && tab.url) {
         const url = new URL(tab.url);
         this.currentDomain = url.hostname;
+        this.currentTabId = tab.id;
       }
     } catch (error) {
       console.error('[XSafe Popup] Failed to get current domain:', error);
@@ -61,7 +65,6 @@ class XSafePopup {
       // Set default settings to prevent crashes
       this.settings = {
         enabled: false,
-        filterMode: 'both',
         intensityLevel: 'moderate',
         whitelistedDomains: [],
         blacklistedDomains: []
@@ -84,6 +87,18 @@ class XSafePopup {
     }
   }
 
+  async loadPageStats() {
+    if (this.currentTabId === null) {return;}
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTabId, { type: 'GET_PAGE_STATS' });
+      this.pageStats = response && response.success ? response.data : null;
+    } catch (error) {
+      // No content script on this tab (not X, or opened before XSafe was installed)
+      this.pageStats = null;
+    }
+  }
+
   setupEventListeners() {
     // Safe Mode toggle
     const safeModeToggle = document.getElementById('safeModeToggle');
@@ -97,12 +112,6 @@ class XSafePopup {
       mainToggle.addEventListener('change', this.handleMainToggle.bind(this));
     }
 
-    // Filter mode radio buttons
-    const filterModeInputs = document.querySelectorAll('input[name="filterMode"]');
-    filterModeInputs.forEach(input => {
-      input.addEventListener('change', this.handleFilterModeChange.bind(this));
-    });
-
     // Intensity slider
     const intensitySlider = document.getElementById('intensitySlider');
     if (intensitySlider) {
@@ -133,9 +142,9 @@ class XSafePopup {
     this.updateStatus();
     this.updateMainToggle();
     this.updateSafeModeToggle();
-    this.updateFilterMode();
     this.updateIntensitySlider();
     this.updateStats();
+    this.updatePageStats();
     this.updateWhitelistButton();
   }
 
@@ -187,15 +196,6 @@ class XSafePopup {
     }
   }
 
-  updateFilterMode() {
-    if (!this.settings) {return;}
-
-    const filterModeInputs = document.querySelectorAll('input[name="filterMode"]');
-    filterModeInputs.forEach(input => {
-      input.checked = input.value === this.settings.filterMode;
-    });
-  }
-
   updateIntensitySlider() {
     const intensitySlider = document.getElementById('intensitySlider');
     const intensityLabels = document.querySelectorAll('.intensity-label');
@@ -208,7 +208,7 @@ class XSafePopup {
       'strict': 2
     };
 
-    const currentValue = intensityMap[this.settings.intensityLevel] || 1;
+    const currentValue = intensityMap[this.settings.intensityLevel] ?? 1;
     intensitySlider.value = currentValue;
 
     // Update intensity labels
@@ -235,6 +235,33 @@ class XSafePopup {
     }
   }
 
+  updatePageStats() {
+    const pageStats = document.getElementById('pageStats');
+    if (!pageStats) {return;}
+
+    if (!this.pageStats) {
+      pageStats.hidden = true;
+      return;
+    }
+
+    const images = this.pageStats.image || 0;
+    const videos = this.pageStats.video || 0;
+    const other = this.pageStats.total - images - videos;
+    const formatCount = (count, noun) => `${this.formatNumber(count)} ${noun}${count === 1 ? '' : 's'}`;
+
+    const parts = [formatCount(images, 'image'), formatCount(videos, 'video')];
+    if (other > 0) {
+      parts.push(formatCount(other, 'other element'));
+    }
+
+    // Hides the site's own sensitive-media flags led to, already counted above
+    const flagged = (this.pageStats.reasons && this.pageStats.reasons.sensitive) || 0;
+    const flaggedNote = flagged > 0 ? ` (${this.formatNumber(flagged)} flagged sensitive by the site)` : '';
+
+    pageStats.textContent = `Hidden on this page: ${parts.join(', ')}${flaggedNote}`;
+    pageStats.hidden = false;
+  }
+
   updateWhitelistButton() {
     const whitelistBtn = document.getElementById('whitelistBtn');
     if (!whitelistBtn || !this.settings || !this.currentDomain) {return;}
@@ -263,11 +290,6 @@ class XSafePopup {
     this.updateStatus();
   }
 
-  async handleFilterModeChange(event) {
-    const filterMode = event.target.value;
-    await this.updateSetting('filterMode', filterMode);
-  }
-
   async handleIntensityChange(event) {
     const value = parseInt(event.target.value);
     const intensityMap = ['permissive', 'moderate', 'strict'];
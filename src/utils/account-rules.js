@@ -0,0 +1,85 @@
+/**
+ * XSafe Account Rules
+ * "Always hide" / "always show" media by its author's handle, with import from plain text or CSV
+ */
+
+export const ACCOUNT_ACTIONS = ['deny', 'allow'];
+
+// X, Reddit and Bluesky handles, plus Mastodon's user@instance for remote accounts
+const HANDLE_PATTERN = /^[a-z0-9_][a-z0-9_.-]{0,99}(@[a-z0-9-]+(\.[a-z0-9-]+)+)?$/;
+
+// Words accepted in the action column of an imported file
+const ACTION_ALIASES = {
+  deny: 'deny', hide: 'deny', block: 'deny',
+  allow: 'allow', show: 'allow', trust: 'allow'
+};
+
+const HEADER_CELLS = ['handle', 'account', 'username', 'user'];
+
+/**
+ * Lowercase a handle and drop what users paste along with it: a leading @ or u/, or the
+ * profile URL around it (x.com/someone, bsky.app/profile/someone, mastodon.social/@someone)
+ */
+export function normalizeHandle(handle) {
+  let value = String(handle || '').trim().toLowerCase();
+
+  const profile = value.match(/^https?:\/\/[^/]+\/(?:profile\/|u\/|user\/)?(@?[^/?#]+)/);
+  if (profile) {
+    value = profile[1];
+  }
+
+  return value.replace(/^@/, '').replace(/^u\//, '');
+}
+
+export function isValidHandle(handle) {
+  return HANDLE_PATTERN.test(handle);
+}
+
+/**
+ * The rule for a post's author, if any
+ */
+export function findAccountRule(rules, author) {
+  if (!author || !Array.isArray(rules)) {
+    return null;
+  }
+  return rules.find(rule => rule && rule.handle === author) || null;
+}
+
+/**
+ * Add rules to a list; a handle that is already listed takes the new action
+ */
+export function mergeAccountRules(rules, added) {
+  const merged = new Map((rules || []).map(rule => [rule.handle, rule]));
+  added.forEach(rule => merged.set(rule.handle, rule));
+  return Array.from(merged.values());
+}
+
+/**
+ * Parse a file with one handle per line, or CSV with a handle column and an optional
+ * action column (hide/show, deny/allow). Lines without an action get `defaultAction`.
+ */
+export function parseAccountList(text, defaultAction = 'deny') {
+  const rules = new Map();
+  let invalid = 0;
+
+  String(text || '').split(/\r?\n/).forEach((line, index) => {
+    const cells = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    if (!cells[0]) {
+      return;
+    }
+    if (index === 0 && HEADER_CELLS.includes(cells[0].toLowerCase())) {
+      return;
+    }
+
+    const handle = normalizeHandle(cells[0]);
+    if (!isValidHandle(handle)) {
+      invalid++;
+      return;
+    }
+
+    const action = ACTION_ALIASES[(cells[1] || '').toLowerCase()] || defaultAction;
+    rules.set(handle, { handle, action });
+  });
+
+  return { rules: Array.from(rules.values()), invalid };
+}
@@ -0,0 +1,78 @@
+/**
+ * Tests for per-account rules
+ */
+
+import {
+  findAccountRule,
+  isValidHandle,
+  mergeAccountRules,
+  normalizeHandle,
+  parseAccountList
+} from './account-rules';
+
+describe('normalizeHandle', () => {
+  it('should strip the @ and lowercase', () => {
+    expect(normalizeHandle(' @SomeOne ')).toBe('someone');
+    expect(normalizeHandle('u/Reddit_User')).toBe('reddit_user');
+  });
+
+  it('should read handles out of profile links', () => {
+    expect(normalizeHandle('https://x.com/SomeOne/media')).toBe('someone');
+    expect(normalizeHandle('https://bsky.app/profile/alice.bsky.social')).toBe('alice.bsky.social');
+    expect(normalizeHandle('https://mastodon.social/@alice@hachyderm.io')).toBe('alice@hachyderm.io');
+  });
+});
+
+describe('isValidHandle', () => {
+  it('should accept handles from every supported site', () => {
+    expect(isValidHandle('someone_1')).toBe(true);
+    expect(isValidHandle('alice.bsky.social')).toBe(true);
+    expect(isValidHandle('alice@hachyderm.io')).toBe(true);
+  });
+
+  it('should reject anything else', () => {
+    expect(isValidHandle('')).toBe(false);
+    expect(isValidHandle('two words')).toBe(false);
+    expect(isValidHandle('alice@')).toBe(false);
+  });
+});
+
+describe('findAccountRule', () => {
+  it('should find the rule for an author', () => {
+    const rules = [{ handle: 'someone', action: 'deny' }];
+
+    expect(findAccountRule(rules, 'someone')).toEqual(rules[0]);
+    expect(findAccountRule(rules, 'someone_else')).toBeNull();
+    expect(findAccountRule(rules, null)).toBeNull();
+  });
+});
+
+describe('mergeAccountRules', () => {
+  it('should move a handle to its new action', () => {
+    const merged = mergeAccountRules(
+      [{ handle: 'a', action: 'deny' }, { handle: 'b', action: 'deny' }],
+      [{ handle: 'a', action: 'allow' }]
+    );
+
+    expect(merged).toEqual([{ handle: 'a', action: 'allow' }, { handle: 'b', action: 'deny' }]);
+  });
+});
+
+describe('parseAccountList', () => {
+  it('should read one handle per line with the default action', () => {
+    const { rules, invalid } = parseAccountList('@one\n\ntwo\r\nnot valid\n', 'allow');
+
+    expect(rules).toEqual([{ handle: 'one', action: 'allow' }, { handle: 'two', action: 'allow' }]);
+    expect(invalid).toBe(1);
+  });
+
+  it('should read CSV with a header and an action column', () => {
+    const { rules } = parseAccountList('handle,action\n"@one",show\ntwo,hide\nthree,\n', 'deny');
+
+    expect(rules).toEqual([
+      { handle: 'one', action: 'allow' },
+      { handle: 'two', action: 'deny' },
+      { handle: 'three', action: 'deny' }
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * XSafe Domain Patterns
+ * Whitelist and blacklist entries: a host, optionally `*.`-prefixed to cover its
+ * subdomains, optionally followed by a path in which `*` matches anything.
+ *
+ *   example.com          example.com only, any path
+ *   *.example.com        example.com and every subdomain
+ *   x.com/i/lists/*      every list on X
+ *   x.com/someaccount    a profile and the pages under it (/media, /status/...)
+ */
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9]+([-.][a-z0-9]+)*\.[a-z]{2,}$/;
+const PATH_PATTERN = /^\/[\w\-.~%@!$&'()+,;=:*/]*$/;
+
+/**
+ * Lowercase a pattern and drop what users paste along with it (scheme, query, trailing slash)
+ */
+export function normalizeDomainPattern(pattern) {
+  return String(pattern || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[?#].*$/, '')
+    .replace(/(.)\/+$/, '$1');
+}
+
+export function isValidDomainPattern(pattern) {
+  const { host, path } = splitPattern(pattern);
+  return HOST_PATTERN.test(host) && (path === '' || PATH_PATTERN.test(path));
+}
+
+/**
+ * The host part of a pattern, keeping a leading `*.`
+ */
+export function getPatternHost(pattern) {
+  return splitPattern(pattern).host;
+}
+
+/**
+ * Whether a page matches a pattern; `location` is a URL, a Location or a URL string
+ */
+export function matchesDomainPattern(pattern, location) {
+  const page = toLocation(location);
+  if (!page) {
+    return false;
+  }
+
+  const { host, path } = splitPattern(normalizeDomainPattern(pattern));
+  const hostname = page.hostname.toLowerCase();
+  const hostMatches = host.startsWith('*.') ?
+    hostname === host.slice(2) || hostname.endsWith(host.slice(1)) :
+    hostname === host;
+
+  return hostMatches && (path === '' || getPathRegExp(path).test(page.pathname));
+}
+
+export function matchesAnyDomainPattern(patterns, location) {
+  return (patterns || []).some(pattern => matchesDomainPattern(pattern, location));
+}
+
+function splitPattern(pattern) {
+  const slash = pattern.indexOf('/');
+  return slash === -1 ?
+    { host: pattern, path: '' } :
+    { host: pattern.slice(0, slash), path: pattern.slice(slash) };
+}
+
+function getPathRegExp(path) {
+  const source = path.replace(/\/+$/, '')
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  // A path also covers the pages below it, so a profile pattern includes its tabs
+  return new RegExp(`^${source}(?:/.*)?$`, 'i');
+}
+
+function toLocation(location) {
+  if (typeof location !== 'string') {
+    return location || null;
+  }
+
+  try {
+    return new URL(location);
+  } catch (error) {
+    return null;
+  }
+}
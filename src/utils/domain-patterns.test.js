@@ -0,0 +1,90 @@
+/**
+ * Tests for whitelist and blacklist domain patterns
+ */
+
+import { URL as NodeURL } from 'url';
+import {
+  getPatternHost,
+  isValidDomainPattern,
+  matchesAnyDomainPattern,
+  matchesDomainPattern,
+  normalizeDomainPattern
+} from './domain-patterns';
+
+describe('domain patterns', () => {
+  let mockedURL;
+
+  beforeEach(() => {
+    // tests/setup.js replaces URL with a mock that cannot parse anything
+    mockedURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterEach(() => {
+    global.URL = mockedURL;
+  });
+
+  describe('normalizeDomainPattern', () => {
+    it('should drop the scheme, query and trailing slash', () => {
+      expect(normalizeDomainPattern(' https://X.com/i/lists/?s=20 ')).toBe('x.com/i/lists');
+      expect(normalizeDomainPattern('example.com/')).toBe('example.com');
+    });
+  });
+
+  describe('isValidDomainPattern', () => {
+    it('should accept hosts, subdomain wildcards and paths', () => {
+      expect(isValidDomainPattern('example.com')).toBe(true);
+      expect(isValidDomainPattern('*.example.com')).toBe(true);
+      expect(isValidDomainPattern('x.com/i/lists/*')).toBe(true);
+      expect(isValidDomainPattern('x.com/someaccount')).toBe(true);
+    });
+
+    it('should reject wildcards inside the host and bare words', () => {
+      expect(isValidDomainPattern('ex*ample.com')).toBe(false);
+      expect(isValidDomainPattern('*.com')).toBe(false);
+      expect(isValidDomainPattern('localhost')).toBe(false);
+      expect(isValidDomainPattern('x.com/<script>')).toBe(false);
+    });
+  });
+
+  describe('getPatternHost', () => {
+    it('should keep the subdomain wildcard and drop the path', () => {
+      expect(getPatternHost('*.example.com/photos/*')).toBe('*.example.com');
+    });
+  });
+
+  describe('matchesDomainPattern', () => {
+    it('should match a bare host exactly', () => {
+      expect(matchesDomainPattern('example.com', 'https://example.com/any/page')).toBe(true);
+      expect(matchesDomainPattern('example.com', 'https://www.example.com/')).toBe(false);
+    });
+
+    it('should match subdomains and the host itself with *.', () => {
+      expect(matchesDomainPattern('*.example.com', 'https://www.example.com/')).toBe(true);
+      expect(matchesDomainPattern('*.example.com', 'https://example.com/')).toBe(true);
+      expect(matchesDomainPattern('*.example.com', 'https://notexample.com/')).toBe(false);
+    });
+
+    it('should match paths with wildcards', () => {
+      expect(matchesDomainPattern('x.com/i/lists/*', 'https://x.com/i/lists/123')).toBe(true);
+      expect(matchesDomainPattern('x.com/i/lists/*', 'https://x.com/home')).toBe(false);
+    });
+
+    it('should cover a profile and the pages below it, case-insensitively', () => {
+      expect(matchesDomainPattern('x.com/someaccount', 'https://x.com/SomeAccount')).toBe(true);
+      expect(matchesDomainPattern('x.com/someaccount', 'https://x.com/SomeAccount/media')).toBe(true);
+      expect(matchesDomainPattern('x.com/someaccount', 'https://x.com/someaccountfan')).toBe(false);
+    });
+
+    it('should accept Location-like objects', () => {
+      expect(matchesDomainPattern('x.com/home', { hostname: 'x.com', pathname: '/home' })).toBe(true);
+    });
+  });
+
+  describe('matchesAnyDomainPattern', () => {
+    it('should handle missing lists', () => {
+      expect(matchesAnyDomainPattern(undefined, 'https://example.com/')).toBe(false);
+      expect(matchesAnyDomainPattern(['a.com', 'example.com'], 'https://example.com/')).toBe(true);
+    });
+  });
+});
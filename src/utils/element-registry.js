@@ -0,0 +1,158 @@
+/**
+ * XSafe Element Registry
+ * Tracks hidden elements without keeping them alive, so X can drop them from its
+ * virtualized timeline while everything still on the page stays restorable
+ */
+
+export const ELEMENT_ID_ATTRIBUTE = 'data-xsafe-id';
+
+export class ElementRegistry {
+  constructor(root = document) {
+    this.root = root;
+    this.refs = new Map(); // id -> WeakRef, in the order elements were hidden
+    this.records = new WeakMap(); // element -> { id, type, reason }
+    this.memos = new WeakMap(); // element -> cached per-element checks
+    this.counter = 0;
+  }
+
+  add(element, type, reason = null) {
+    this.delete(element);
+
+    const id = `xsafe-${++this.counter}`;
+    element.setAttribute(ELEMENT_ID_ATTRIBUTE, id);
+    this.refs.set(id, new WeakRef(element));
+    this.records.set(element, { id, type, reason });
+    return id;
+  }
+
+  has(element) {
+    return this.records.has(element);
+  }
+
+  getId(element) {
+    const record = this.records.get(element);
+    return record ? record.id : null;
+  }
+
+  getType(element) {
+    const record = this.records.get(element);
+    return record ? record.type : null;
+  }
+
+  getReason(element) {
+    const record = this.records.get(element);
+    return record ? record.reason : null;
+  }
+
+  get(id) {
+    const ref = this.refs.get(id);
+    const element = ref && ref.deref();
+    if (element) {
+      return element;
+    }
+
+    // The attribute survives on the page even where our references do not
+    return this.root.querySelector(`[${ELEMENT_ID_ATTRIBUTE}="${id}"]`);
+  }
+
+  delete(element) {
+    const record = this.records.get(element);
+    if (!record) {
+      return false;
+    }
+
+    this.refs.delete(record.id);
+    this.records.delete(element);
+    if (element.getAttribute(ELEMENT_ID_ATTRIBUTE) === record.id) {
+      element.removeAttribute(ELEMENT_ID_ATTRIBUTE);
+    }
+    return true;
+  }
+
+  /**
+   * Live tracked elements, oldest first. Entries for collected elements are dropped.
+   */
+  elements() {
+    const elements = [];
+
+    this.refs.forEach((ref, id) => {
+      const element = ref.deref();
+      if (element) {
+        elements.push(element);
+      } else {
+        this.refs.delete(id);
+      }
+    });
+
+    return elements;
+  }
+
+  get size() {
+    return this.elements().length;
+  }
+
+  forEach(callback) {
+    this.elements().forEach(callback);
+  }
+
+  /**
+   * Hidden elements still on the page, per type, plus `reasons` counting those hidden for a
+   * recorded reason (e.g. the site's own sensitive flag)
+   */
+  counts() {
+    const counts = { total: 0 };
+
+    this.elements().forEach(element => {
+      if (!element.isConnected) {
+        return;
+      }
+      const { type, reason } = this.records.get(element);
+      counts[type] = (counts[type] || 0) + 1;
+      counts.total++;
+
+      if (reason) {
+        counts.reasons = counts.reasons || {};
+        counts.reasons[reason] = (counts.reasons[reason] || 0) + 1;
+      }
+    });
+
+    return counts;
+  }
+
+  clear() {
+    this.refs.clear();
+    this.records = new WeakMap();
+  }
+
+  /**
+   * Cache a per-element check for as long as the element itself lives. A check that can't
+   * tell yet returns undefined and runs again next time.
+   */
+  memo(element, key, compute) {
+    let memos = this.memos.get(element);
+    if (!memos) {
+      memos = new Map();
+      this.memos.set(element, memos);
+    }
+
+    if (!memos.has(key)) {
+      const value = compute();
+      if (value === undefined) {
+        return value;
+      }
+      memos.set(key, value);
+    }
+    return memos.get(key);
+  }
+
+  /**
+   * Drop cached checks for one element, e.g. once it shows other media, or for all of them
+   */
+  clearMemos(element = null) {
+    if (element) {
+      this.memos.delete(element);
+    } else {
+      this.memos = new WeakMap();
+    }
+  }
+}
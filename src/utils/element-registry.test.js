@@ -0,0 +1,107 @@
+/**
+ * Tests for the hidden element registry
+ */
+
+import { ElementRegistry } from './element-registry';
+
+describe('ElementRegistry', () => {
+  let root;
+  let registry;
+
+  const addElement = (tagName = 'img') => {
+    const element = root.createElement(tagName);
+    root.body.appendChild(element);
+    return element;
+  };
+
+  beforeEach(() => {
+    // tests/setup.js stubs the shared document's DOM methods; use a real one
+    root = document.implementation.createHTMLDocument('');
+    registry = new ElementRegistry(root);
+  });
+
+  it('should stamp tracked elements with a unique id', () => {
+    const first = addElement();
+    const second = addElement();
+
+    const firstId = registry.add(first, 'image');
+    const secondId = registry.add(second, 'video');
+
+    expect(firstId).not.toBe(secondId);
+    expect(first.getAttribute('data-xsafe-id')).toBe(firstId);
+    expect(registry.has(first)).toBe(true);
+    expect(registry.getType(second)).toBe('video');
+    expect(registry.get(secondId)).toBe(second);
+  });
+
+  it('should forget elements and their id on delete', () => {
+    const element = addElement();
+    registry.add(element, 'image');
+
+    expect(registry.delete(element)).toBe(true);
+
+    expect(registry.has(element)).toBe(false);
+    expect(element.hasAttribute('data-xsafe-id')).toBe(false);
+    expect(registry.size).toBe(0);
+  });
+
+  it('should find elements by their id on the page', () => {
+    const element = addElement();
+    element.setAttribute('data-xsafe-id', 'xsafe-7');
+
+    expect(registry.get('xsafe-7')).toBe(element);
+    expect(registry.get('xsafe-8')).toBeNull();
+  });
+
+  it('should keep every element restorable, however many are hidden', () => {
+    const elements = Array.from({ length: 500 }, () => addElement());
+    elements.forEach(element => registry.add(element, 'image'));
+
+    expect(registry.elements()).toEqual(elements);
+  });
+
+  it('should count hidden elements on the page per type', () => {
+    registry.add(addElement(), 'image');
+    registry.add(addElement(), 'image');
+    registry.add(addElement('video'), 'video');
+    const detached = addElement();
+    registry.add(detached, 'image');
+    detached.remove();
+
+    expect(registry.counts()).toEqual({ total: 3, image: 2, video: 1 });
+  });
+
+  it('should count hidden elements per recorded reason', () => {
+    registry.add(addElement(), 'image', 'sensitive');
+    registry.add(addElement('video'), 'video', 'sensitive');
+    registry.add(addElement(), 'image');
+
+    expect(registry.getReason(registry.get('xsafe-1'))).toBe('sensitive');
+    expect(registry.counts()).toEqual({ total: 3, image: 2, video: 1, reasons: { sensitive: 2 } });
+  });
+
+  it('should compute memoized checks once per element', () => {
+    const element = addElement();
+    const compute = jest.fn(() => true);
+
+    registry.memo(element, 'isUI', compute);
+    registry.memo(element, 'isUI', compute);
+    registry.memo(addElement(), 'isUI', compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it('should compute again when a check could not tell, or its element was cleared', () => {
+    const element = addElement();
+    const undecided = jest.fn(() => undefined);
+    const compute = jest.fn(() => true);
+
+    registry.memo(element, 'isUI', undecided);
+    registry.memo(element, 'isUI', compute);
+    registry.clearMemos(element);
+    registry.memo(element, 'isUI', compute);
+
+    expect(undecided).toHaveBeenCalledTimes(1);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * XSafe Hash Lists
+ * Matching, import and export for the "always hide" / "never hide" image lists
+ */
+
+import {
+  HASH_MATCH_DISTANCE,
+  hammingDistance,
+  isValidHash,
+  normalizeHash
+} from './perceptual-hash';
+
+export const HASH_LISTS = ['blocked', 'allowed'];
+
+export const HASH_LIST_FORMAT = 'xsafe-hash-list';
+
+/**
+ * Find the closest listed hash within the match distance.
+ * On a tie the blocklist wins, so conflicting lists fail closed.
+ */
+export function findHashMatch(hash, lists, maxDistance = HASH_MATCH_DISTANCE) {
+  let best = null;
+
+  HASH_LISTS.forEach(list => {
+    (lists[list] || []).forEach(entry => {
+      const distance = hammingDistance(hash, entry.hash);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { list, entry, distance };
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Parse an exported list file. Accepts our JSON export or plain text with one
+ * hash per line, optionally followed by a label; `#` starts a comment.
+ */
+export function parseHashList(text) {
+  const entries = [];
+  let invalid = 0;
+
+  const addEntry = (hash, label) => {
+    const normalized = normalizeHash(hash);
+    if (isValidHash(normalized)) {
+      entries.push({ hash: normalized, label: typeof label === 'string' ? label.trim() : '' });
+    } else {
+      invalid++;
+    }
+  };
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    const items = Array.isArray(parsed) ? parsed : parsed.entries;
+
+    if (!Array.isArray(items)) {
+      throw new Error('No hash entries found in file');
+    }
+
+    items.forEach(item => {
+      if (typeof item === 'string') {
+        addEntry(item, '');
+      } else {
+        addEntry(item && item.hash, item && item.label);
+      }
+    });
+  } else {
+    trimmed.split(/\r?\n/).forEach(line => {
+      const content = line.replace(/#.*$/, '').trim();
+      if (content) {
+        const [hash, ...label] = content.split(/\s+/);
+        addEntry(hash, label.join(' '));
+      }
+    });
+  }
+
+  return { entries, invalid };
+}
+
+export function serializeHashList(list, entries) {
+  return JSON.stringify({
+    format: HASH_LIST_FORMAT,
+    version: 1,
+    list: list,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ hash, label, addedAt }) => ({ hash, label, addedAt }))
+  }, null, 2);
+}
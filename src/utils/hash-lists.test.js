@@ -0,0 +1,56 @@
+/**
+ * Tests for hash list matching, import and export
+ */
+
+import { findHashMatch, parseHashList, serializeHashList } from './hash-lists';
+
+describe('findHashMatch', () => {
+  const lists = {
+    blocked: [{ hash: '00000000000000ff', label: 'repost' }],
+    allowed: [{ hash: 'ffffffffffffff00', label: 'meme' }]
+  };
+
+  it('should match hashes within the distance', () => {
+    const match = findHashMatch('00000000000000fe', lists);
+    expect(match.list).toBe('blocked');
+    expect(match.entry.label).toBe('repost');
+    expect(match.distance).toBe(1);
+  });
+
+  it('should not match distant hashes', () => {
+    expect(findHashMatch('0f0f0f0f0f0f0f0f', lists)).toBeNull();
+  });
+
+  it('should prefer the blocklist on a tie', () => {
+    const tied = {
+      blocked: [{ hash: '000000000000000f' }],
+      allowed: [{ hash: '00000000000000f0' }]
+    };
+    expect(findHashMatch('00000000000000ff', tied).list).toBe('blocked');
+  });
+});
+
+describe('parseHashList', () => {
+  it('should round-trip an export', () => {
+    const entries = [{ hash: '0123456789abcdef', label: 'cat', addedAt: 1 }];
+    const parsed = parseHashList(serializeHashList('allowed', entries));
+
+    expect(parsed.entries).toEqual([{ hash: '0123456789abcdef', label: 'cat' }]);
+    expect(parsed.invalid).toBe(0);
+  });
+
+  it('should read plain text with labels and comments', () => {
+    const parsed = parseHashList('# shared list\n0123456789ABCDEF reposted image\n\nnot-a-hash\n');
+
+    expect(parsed.entries).toEqual([{ hash: '0123456789abcdef', label: 'reposted image' }]);
+    expect(parsed.invalid).toBe(1);
+  });
+
+  it('should accept a bare JSON array of hashes', () => {
+    expect(parseHashList('["0123456789abcdef"]').entries).toHaveLength(1);
+  });
+
+  it('should reject JSON without entries', () => {
+    expect(() => parseHashList('{"format":"something-else"}')).toThrow('No hash entries found in file');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * XSafe Hide Styles
+ * Visual treatments for filtered media, shared by the content script and the options page preview
+ */
+
+export const HIDE_STYLES = ['hide', 'blur', 'pixelate', 'grayscale'];
+
+export const DEFAULT_BLUR_STRENGTH = 20;
+
+export const PIXELATE_FILTER_ID = 'xsafe-pixelate-filter';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * CSS `filter` value for a hide style, or null when the element is hidden outright
+ */
+export function getHideStyleFilter(hideStyle, strength = DEFAULT_BLUR_STRENGTH) {
+  switch (hideStyle) {
+  case 'blur':
+    return `blur(${strength}px)`;
+  case 'pixelate':
+    return `url(#${PIXELATE_FILTER_ID})`;
+  case 'grayscale':
+    return 'grayscale(1)';
+  default:
+    return null;
+  }
+}
+
+/**
+ * Inject (or update) the SVG filter used by the pixelate style.
+ * CSS has no pixelate function, so we sample one pixel per block and dilate it.
+ */
+export function injectPixelateFilter(doc, strength = DEFAULT_BLUR_STRENGTH) {
+  const blockSize = Math.max(4, Math.round(strength));
+  const radius = Math.floor(blockSize / 2);
+
+  let svg = doc.getElementById(`${PIXELATE_FILTER_ID}-svg`);
+  if (!svg) {
+    svg = doc.createElementNS(SVG_NS, 'svg');
+    svg.id = `${PIXELATE_FILTER_ID}-svg`;
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.style.position = 'absolute';
+    (doc.body || doc.documentElement).appendChild(svg);
+  }
+
+  svg.innerHTML = `
+    <filter id="${PIXELATE_FILTER_ID}" x="0" y="0" width="100%" height="100%">
+      <feFlood x="${radius}" y="${radius}" width="1" height="1" result="dot"/>
+      <feComposite in="dot" width="${blockSize}" height="${blockSize}" result="block"/>
+      <feTile in="block" result="grid"/>
+      <feComposite in="SourceGraphic" in2="grid" operator="in"/>
+      <feMorphology operator="dilate" radius="${radius}"/>
+    </filter>
+  `;
+
+  return svg;
+}
+
+export function removePixelateFilter(doc) {
+  const svg = doc.getElementById(`${PIXELATE_FILTER_ID}-svg`);
+  if (svg) {
+    svg.remove();
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Hide Styles Unit Tests
+ * Tests for the shared filter values and the pixelate SVG filter
+ */
+
+import {
+  PIXELATE_FILTER_ID,
+  getHideStyleFilter,
+  injectPixelateFilter,
+  removePixelateFilter
+} from './hide-styles';
+
+describe('getHideStyleFilter', () => {
+  it('should return no filter for the hide style', () => {
+    expect(getHideStyleFilter('hide', 20)).toBeNull();
+  });
+
+  it('should use the strength as the blur radius', () => {
+    expect(getHideStyleFilter('blur', 12)).toBe('blur(12px)');
+  });
+
+  it('should reference the SVG filter for pixelate', () => {
+    expect(getHideStyleFilter('pixelate', 12)).toBe(`url(#${PIXELATE_FILTER_ID})`);
+  });
+
+  it('should fully desaturate for grayscale', () => {
+    expect(getHideStyleFilter('grayscale', 12)).toBe('grayscale(1)');
+  });
+});
+
+describe('injectPixelateFilter', () => {
+  let getElementByIdStub;
+
+  beforeEach(() => {
+    // tests/setup.js stubs getElementById on the shared document; use jsdom's here
+    getElementByIdStub = document.getElementById;
+    delete document.getElementById;
+  });
+
+  afterEach(() => {
+    removePixelateFilter(document);
+    document.getElementById = getElementByIdStub;
+  });
+
+  it('should inject a single filter and update its block size', () => {
+    injectPixelateFilter(document, 10);
+    injectPixelateFilter(document, 16);
+
+    const filters = document.body.querySelectorAll(`#${PIXELATE_FILTER_ID}`);
+    expect(filters).toHaveLength(1);
+    expect(filters[0].querySelector('feMorphology').getAttribute('radius')).toBe('8');
+  });
+
+  it('should remove the filter', () => {
+    injectPixelateFilter(document, 10);
+    removePixelateFilter(document);
+
+    expect(document.body.querySelector(`#${PIXELATE_FILTER_ID}`)).toBeNull();
+  });
+});
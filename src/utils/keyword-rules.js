@@ -0,0 +1,105 @@
+/**
+ * XSafe Keyword Rules
+ * Keywords, hashtags and regular expressions matched against a post's text. A match hides
+ * the post's media or the whole post, in the scopes (timeline, replies, search) the rule names.
+ */
+
+export const KEYWORD_RULE_TYPES = ['keyword', 'hashtag', 'regex'];
+export const KEYWORD_ACTIONS = ['media', 'post'];
+export const KEYWORD_SCOPES = ['timeline', 'replies', 'search'];
+
+// Letters and digits in any script, so whole words work beyond ASCII
+const WORD_BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const WORD_BOUNDARY_AFTER = '(?![\\p{L}\\p{N}_])';
+
+/**
+ * Lowercase text and strip its diacritics, so "Café" and "CAFE" compare equal
+ */
+export function foldText(text) {
+  return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Fold a regular expression the way foldText folds text, leaving escapes such as \D and
+ * \p{L} alone so their meaning doesn't change
+ */
+function foldPattern(pattern) {
+  return pattern.replace(/(\\[pP]\{[^}]*\}|\\.)|[^\\]+/gsu, (match, escape) => escape || foldText(match));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the matcher for a rule. Throws on an invalid regular expression; returns null for
+ * disabled or empty rules.
+ */
+export function compileKeywordRule(rule) {
+  const pattern = String((rule && rule.pattern) || '').trim();
+  if (!pattern || rule.enabled === false) {
+    return null;
+  }
+
+  let regExp;
+  if (rule.type === 'regex') {
+    // Matched like keywords, so "café" finds "Cafe" and "cafe" finds "CAFÉ"
+    regExp = new RegExp(foldPattern(pattern), 'iu');
+  } else {
+    // Hashtags always match whole tags: #cat must not match #caterpillar
+    const isHashtag = rule.type === 'hashtag';
+    const term = escapeRegExp(foldText(isHashtag ? `#${pattern.replace(/^#+/, '')}` : pattern));
+    const wholeWord = isHashtag || rule.wholeWord;
+    regExp = new RegExp(wholeWord ? `${WORD_BOUNDARY_BEFORE}${term}${WORD_BOUNDARY_AFTER}` : term, 'u');
+  }
+
+  const scopes = (rule.scopes || []).filter(scope => KEYWORD_SCOPES.includes(scope));
+  return {
+    pattern,
+    type: KEYWORD_RULE_TYPES.includes(rule.type) ? rule.type : 'keyword',
+    action: rule.action === 'post' ? 'post' : 'media',
+    scopes: scopes.length > 0 ? scopes : KEYWORD_SCOPES,
+    regExp
+  };
+}
+
+/**
+ * Why a rule can't be used, or null when it is fine
+ */
+export function getKeywordRuleError(rule) {
+  if (!String((rule && rule.pattern) || '').trim()) {
+    return 'Enter a keyword, hashtag or pattern';
+  }
+
+  try {
+    compileKeywordRule({ ...rule, enabled: true });
+    return null;
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+}
+
+/**
+ * Compile every usable rule, skipping invalid ones so a single typo doesn't disable the rest
+ */
+export function compileKeywordRules(rules) {
+  return (rules || []).map(rule => {
+    try {
+      return compileKeywordRule(rule);
+    } catch (error) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * The first compiled rule matching the text in the given scope, if any
+ */
+export function findKeywordRule(compiledRules, text, scope) {
+  if (!text) {
+    return null;
+  }
+
+  const folded = foldText(text);
+  return compiledRules.find(rule => rule.scopes.includes(scope) && rule.regExp.test(folded)) || null;
+}
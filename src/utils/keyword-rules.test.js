@@ -0,0 +1,97 @@
+/**
+ * Tests for keyword, hashtag and regex rules
+ */
+
+import {
+  compileKeywordRule,
+  compileKeywordRules,
+  findKeywordRule,
+  foldText,
+  getKeywordRuleError
+} from './keyword-rules';
+
+const find = (rule, text, scope = 'timeline') => findKeywordRule(compileKeywordRules([rule]), text, scope);
+
+describe('foldText', () => {
+  it('should lowercase and drop diacritics', () => {
+    expect(foldText('Café CRÈME Ñandú')).toBe('cafe creme nandu');
+  });
+});
+
+describe('findKeywordRule', () => {
+  it('should match keywords regardless of case and accents', () => {
+    expect(find({ pattern: 'cafe' }, 'Best CAFÉ in town')).not.toBeNull();
+    expect(find({ pattern: 'Crème' }, 'creme brulee')).not.toBeNull();
+    expect(find({ pattern: 'tea' }, 'Best café in town')).toBeNull();
+  });
+
+  it('should match inside words unless the rule asks for whole words', () => {
+    expect(find({ pattern: 'spoil' }, 'No spoilers please')).not.toBeNull();
+    expect(find({ pattern: 'spoil', wholeWord: true }, 'No spoilers please')).toBeNull();
+    expect(find({ pattern: 'spoil', wholeWord: true }, 'Do not spoil it!')).not.toBeNull();
+  });
+
+  it('should treat letters in any script as part of a word', () => {
+    expect(find({ pattern: 'cafe', wholeWord: true }, 'cafés')).toBeNull();
+    expect(find({ pattern: 'кот', wholeWord: true }, 'котик')).toBeNull();
+    expect(find({ pattern: 'кот', wholeWord: true }, 'мой Кот спит')).not.toBeNull();
+  });
+
+  it('should match whole hashtags with or without the #', () => {
+    expect(find({ pattern: '#cat', type: 'hashtag' }, 'Look #Cat')).not.toBeNull();
+    expect(find({ pattern: 'cat', type: 'hashtag' }, 'Look #cat!')).not.toBeNull();
+    expect(find({ pattern: 'cat', type: 'hashtag' }, 'Look #caterpillar')).toBeNull();
+    expect(find({ pattern: 'cat', type: 'hashtag' }, 'Look at my cat')).toBeNull();
+  });
+
+  it('should match regular expressions regardless of case and accents, like keywords', () => {
+    expect(find({ pattern: 'spoil(er|s)', type: 'regex' }, 'SPOILERS ahead')).not.toBeNull();
+    expect(find({ pattern: '^cafe$', type: 'regex' }, 'Café')).not.toBeNull();
+    expect(find({ pattern: 'café', type: 'regex' }, 'Café')).not.toBeNull();
+    expect(find({ pattern: 'café', type: 'regex' }, 'CAFE')).not.toBeNull();
+    expect(find({ pattern: '^CRÈME\\b', type: 'regex' }, 'creme brulee')).not.toBeNull();
+  });
+
+  it('should keep regex escapes meaning the same after folding', () => {
+    expect(find({ pattern: '^\\D+$', type: 'regex' }, 'Résumé')).not.toBeNull();
+    expect(find({ pattern: '^\\D+$', type: 'regex' }, 'Room 101')).toBeNull();
+    expect(find({ pattern: '^\\p{L}+$', type: 'regex' }, 'Ñandú')).not.toBeNull();
+  });
+
+  it('should only apply rules in their scopes', () => {
+    const rule = { pattern: 'spoiler', scopes: ['replies'] };
+
+    expect(find(rule, 'spoiler', 'replies')).not.toBeNull();
+    expect(find(rule, 'spoiler', 'timeline')).toBeNull();
+    expect(find({ pattern: 'spoiler' }, 'spoiler', 'search')).not.toBeNull();
+  });
+
+  it('should skip disabled and invalid rules', () => {
+    const rules = compileKeywordRules([
+      { pattern: 'spoiler', enabled: false },
+      { pattern: '(unclosed', type: 'regex' },
+      { pattern: 'ahead' }
+    ]);
+
+    expect(rules).toHaveLength(1);
+    expect(findKeywordRule(rules, 'spoiler ahead', 'timeline').pattern).toBe('ahead');
+  });
+});
+
+describe('compileKeywordRule', () => {
+  it('should default to hiding media in every scope', () => {
+    expect(compileKeywordRule({ pattern: 'spoiler' })).toEqual(expect.objectContaining({
+      type: 'keyword',
+      action: 'media',
+      scopes: ['timeline', 'replies', 'search']
+    }));
+  });
+});
+
+describe('getKeywordRuleError', () => {
+  it('should explain empty patterns and invalid regexes', () => {
+    expect(getKeywordRuleError({ pattern: ' ' })).toMatch(/Enter/);
+    expect(getKeywordRuleError({ pattern: '(unclosed', type: 'regex' })).toMatch(/Invalid regular expression/);
+    expect(getKeywordRuleError({ pattern: 'c++' })).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * XSafe Media Categories
+ * The kinds of media the user can switch filtering on and off for. They replace the old
+ * `filterMode` ('videos' | 'images' | 'both'), which is migrated on first load.
+ */
+
+export const MEDIA_CATEGORIES = ['photo', 'gif', 'video', 'embed', 'card', 'banner', 'avatar'];
+
+// Categories matched by the sites' video and image selectors, for the pre-hide stylesheet
+export const VIDEO_CATEGORIES = ['video', 'gif', 'embed'];
+export const IMAGE_CATEGORIES = ['photo', 'gif', 'card'];
+
+// The categories each intensity level filters at all. A toggle for any other category has no
+// effect at that level, so the options page disables it.
+export const INTENSITY_CATEGORIES = {
+  strict: MEDIA_CATEGORIES,
+  moderate: ['photo', 'video', 'embed'],
+  permissive: ['photo', 'gif', 'video', 'embed', 'card']
+};
+
+// Every category is on; the intensity level then decides how much of each is hidden
+export const DEFAULT_MEDIA_CATEGORIES = MEDIA_CATEGORIES.reduce((categories, category) => {
+  categories[category] = true;
+  return categories;
+}, {});
+
+// What each old filter mode covered. X plays GIFs as <video>, so they went with videos.
+const FILTER_MODE_CATEGORIES = {
+  videos: VIDEO_CATEGORIES,
+  images: ['photo', 'card', 'banner', 'avatar'],
+  both: MEDIA_CATEGORIES
+};
+
+export function getIntensityCategories(intensityLevel) {
+  return INTENSITY_CATEGORIES[intensityLevel] || INTENSITY_CATEGORIES.moderate;
+}
+
+/**
+ * The category toggles equivalent to an old `filterMode` value
+ */
+export function migrateFilterMode(filterMode) {
+  const enabled = FILTER_MODE_CATEGORIES[filterMode] || MEDIA_CATEGORIES;
+  return MEDIA_CATEGORIES.reduce((categories, category) => {
+    categories[category] = enabled.includes(category);
+    return categories;
+  }, {});
+}
+
+/**
+ * The toggles in effect for a settings object: its own, filled in with defaults, or those
+ * migrated from `filterMode` when it predates categories
+ */
+export function getMediaCategories(settings = {}) {
+  if (settings.mediaCategories) {
+    return { ...DEFAULT_MEDIA_CATEGORIES, ...settings.mediaCategories };
+  }
+  return settings.filterMode ? migrateFilterMode(settings.filterMode) : { ...DEFAULT_MEDIA_CATEGORIES };
+}
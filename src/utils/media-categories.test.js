@@ -0,0 +1,54 @@
+/**
+ * Tests for media category toggles and the filterMode migration
+ */
+
+import {
+  DEFAULT_MEDIA_CATEGORIES,
+  MEDIA_CATEGORIES,
+  getIntensityCategories,
+  getMediaCategories,
+  migrateFilterMode
+} from './media-categories';
+
+describe('migrateFilterMode', () => {
+  it('should keep videos, GIFs and embeds for the videos mode', () => {
+    expect(migrateFilterMode('videos')).toEqual({
+      photo: false, gif: true, video: true, embed: true, card: false, banner: false, avatar: false
+    });
+  });
+
+  it('should keep photos, cards, banners and avatars for the images mode', () => {
+    expect(migrateFilterMode('images')).toEqual({
+      photo: true, gif: false, video: false, embed: false, card: true, banner: true, avatar: true
+    });
+  });
+
+  it('should turn everything on for both, and for unknown values', () => {
+    expect(migrateFilterMode('both')).toEqual(DEFAULT_MEDIA_CATEGORIES);
+    expect(migrateFilterMode('bogus')).toEqual(DEFAULT_MEDIA_CATEGORIES);
+  });
+});
+
+describe('getMediaCategories', () => {
+  it('should prefer stored categories, filled in with defaults', () => {
+    expect(getMediaCategories({ mediaCategories: { gif: false }, filterMode: 'videos' }))
+      .toEqual({ ...DEFAULT_MEDIA_CATEGORIES, gif: false });
+  });
+
+  it('should migrate settings saved before categories existed', () => {
+    expect(getMediaCategories({ filterMode: 'images' }).video).toBe(false);
+    expect(getMediaCategories({})).toEqual(DEFAULT_MEDIA_CATEGORIES);
+  });
+});
+
+describe('getIntensityCategories', () => {
+  it('should filter every category only at the strict level', () => {
+    expect(getIntensityCategories('strict')).toEqual(MEDIA_CATEGORIES);
+    expect(getIntensityCategories('moderate')).toEqual(['photo', 'video', 'embed']);
+    expect(getIntensityCategories('permissive')).not.toContain('avatar');
+  });
+
+  it('should fall back to moderate for unknown levels', () => {
+    expect(getIntensityCategories('unknown')).toEqual(getIntensityCategories('moderate'));
+  });
+});
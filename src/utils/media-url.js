@@ -0,0 +1,43 @@
+/**
+ * XSafe Media URLs
+ * Normalization shared by the content script and the background classification cache
+ */
+
+const TWIMG_HOST = /(^|\.)twimg\.com$/;
+
+// Legacy size suffix: /media/abc.jpg:large
+const LEGACY_SIZE_SUFFIX = /:(thumb|small|medium|large|orig)$/;
+
+// Avatar size variants: /profile_images/123/abc_normal.jpg
+const AVATAR_SIZE_SUFFIX = /_(mini|normal|bigger|\d+x\d+)(\.\w+)$/;
+
+/**
+ * Map every rendition of the same media to one key, so a photo seen as a
+ * timeline thumbnail and again full size is only analyzed once.
+ * Returns null for anything that is not an http(s) URL.
+ */
+export function normalizeMediaUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return null;
+  }
+
+  parsed.hash = '';
+
+  if (TWIMG_HOST.test(parsed.hostname)) {
+    // X serves every size from the same path; only `format` changes the bytes
+    parsed.protocol = 'https:';
+    parsed.searchParams.delete('name');
+    parsed.pathname = parsed.pathname
+      .replace(LEGACY_SIZE_SUFFIX, '')
+      .replace(AVATAR_SIZE_SUFFIX, '$2');
+  }
+
+  return parsed.href;
+}
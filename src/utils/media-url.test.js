@@ -0,0 +1,53 @@
+/**
+ * Tests for media URL normalization
+ */
+
+import { URL as NodeURL } from 'url';
+import { normalizeMediaUrl } from './media-url';
+
+describe('normalizeMediaUrl', () => {
+  let mockedURL;
+
+  beforeEach(() => {
+    // tests/setup.js replaces URL with a mock that cannot parse anything
+    mockedURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterEach(() => {
+    global.URL = mockedURL;
+  });
+
+  it('should drop the rendition size from X media URLs', () => {
+    expect(normalizeMediaUrl('https://pbs.twimg.com/media/AbC123?format=jpg&name=small'))
+      .toBe('https://pbs.twimg.com/media/AbC123?format=jpg');
+    expect(normalizeMediaUrl('https://pbs.twimg.com/media/AbC123?format=jpg&name=4096x4096'))
+      .toBe('https://pbs.twimg.com/media/AbC123?format=jpg');
+  });
+
+  it('should keep the format, which changes the served bytes', () => {
+    expect(normalizeMediaUrl('https://pbs.twimg.com/media/AbC123?format=png&name=large'))
+      .not.toBe(normalizeMediaUrl('https://pbs.twimg.com/media/AbC123?format=jpg&name=large'));
+  });
+
+  it('should strip legacy size suffixes', () => {
+    expect(normalizeMediaUrl('https://pbs.twimg.com/media/AbC123.jpg:large'))
+      .toBe('https://pbs.twimg.com/media/AbC123.jpg');
+  });
+
+  it('should map avatar size variants to one key', () => {
+    expect(normalizeMediaUrl('https://pbs.twimg.com/profile_images/1/photo_normal.jpg'))
+      .toBe(normalizeMediaUrl('https://pbs.twimg.com/profile_images/1/photo_400x400.jpg'));
+  });
+
+  it('should leave other hosts alone apart from the fragment', () => {
+    expect(normalizeMediaUrl('https://example.com/image.jpg?name=small#top'))
+      .toBe('https://example.com/image.jpg?name=small');
+  });
+
+  it('should reject URLs that cannot be fetched', () => {
+    expect(normalizeMediaUrl('blob:https://x.com/1234')).toBeNull();
+    expect(normalizeMediaUrl('data:image/png;base64,AAAA')).toBeNull();
+    expect(normalizeMediaUrl('not a url')).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * XSafe Perceptual Hashing
+ * dHash fingerprints that survive re-uploads, resizing and recompression
+ */
+
+// The image is scaled to 9x8 so each row yields 8 left/right comparisons
+export const HASH_SAMPLE_WIDTH = 9;
+export const HASH_SAMPLE_HEIGHT = 8;
+
+// Bits (out of 64) two hashes may differ by and still count as the same image
+export const HASH_MATCH_DISTANCE = 8;
+
+const HASH_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Compute a 64-bit difference hash from 9x8 RGBA pixel data (e.g. canvas ImageData).
+ * Returns 16 lowercase hex characters.
+ */
+export function computeDHash(imageData) {
+  const { data, width } = imageData;
+  const luminance = (x, y) => {
+    const offset = (y * width + x) * 4;
+    return data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114;
+  };
+
+  let hash = '';
+  let nibble = 0;
+  let bits = 0;
+
+  for (let y = 0; y < HASH_SAMPLE_HEIGHT; y++) {
+    for (let x = 0; x < HASH_SAMPLE_WIDTH - 1; x++) {
+      nibble = (nibble << 1) | (luminance(x, y) > luminance(x + 1, y) ? 1 : 0);
+      bits++;
+
+      if (bits === 4) {
+        hash += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+
+  return hash;
+}
+
+export function isValidHash(hash) {
+  return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+export function normalizeHash(hash) {
+  return typeof hash === 'string' ? hash.trim().toLowerCase() : '';
+}
+
+export function hammingDistance(a, b) {
+  let distance = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+
+  return distance;
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for perceptual hashing
+ */
+
+import {
+  HASH_SAMPLE_HEIGHT,
+  HASH_SAMPLE_WIDTH,
+  computeDHash,
+  hammingDistance,
+  isValidHash,
+  normalizeHash
+} from './perceptual-hash';
+
+// 9x8 RGBA pixels from a per-pixel gray level
+const createImageData = (level) => {
+  const data = new Uint8ClampedArray(HASH_SAMPLE_WIDTH * HASH_SAMPLE_HEIGHT * 4);
+  for (let y = 0; y < HASH_SAMPLE_HEIGHT; y++) {
+    for (let x = 0; x < HASH_SAMPLE_WIDTH; x++) {
+      const offset = (y * HASH_SAMPLE_WIDTH + x) * 4;
+      data.fill(level(x, y), offset, offset + 3);
+      data[offset + 3] = 255;
+    }
+  }
+  return { data, width: HASH_SAMPLE_WIDTH, height: HASH_SAMPLE_HEIGHT };
+};
+
+describe('computeDHash', () => {
+  it('should produce 16 hex characters', () => {
+    expect(computeDHash(createImageData((x, y) => (x * y * 7) % 256))).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should set every bit for a left-to-right darkening gradient', () => {
+    expect(computeDHash(createImageData(x => 255 - x * 20))).toBe('ffffffffffffffff');
+  });
+
+  it('should clear every bit for a left-to-right brightening gradient', () => {
+    expect(computeDHash(createImageData(x => x * 20))).toBe('0000000000000000');
+  });
+
+  it('should ignore uniform brightness changes', () => {
+    const pattern = (x, y) => ((x + y) % 3) * 40;
+    expect(computeDHash(createImageData((x, y) => pattern(x, y) + 60)))
+      .toBe(computeDHash(createImageData(pattern)));
+  });
+});
+
+describe('hammingDistance', () => {
+  it('should count differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+  });
+});
+
+describe('isValidHash / normalizeHash', () => {
+  it('should accept normalized 64-bit hex hashes only', () => {
+    expect(isValidHash(normalizeHash(' 0123456789ABCDEF '))).toBe(true);
+    expect(isValidHash('0123456789abcde')).toBe(false);
+    expect(isValidHash('0123456789abcdeg')).toBe(false);
+    expect(isValidHash(null)).toBe(false);
+  });
+});
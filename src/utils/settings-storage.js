@@ -0,0 +1,58 @@
+/**
+ * XSafe Settings Storage
+ * Which storage area each setting lives in, and whether a value fits there. Settings sync
+ * across the user's browsers, except the rule lists an import can grow past storage.sync's
+ * 8 KB per-item quota; those stay in storage.local.
+ */
+
+export const LOCAL_SETTINGS = ['accountRules', 'keywordRules', 'mediaSourceRules'];
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM and chrome.storage.local.QUOTA_BYTES
+export const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+export const LOCAL_QUOTA_BYTES = 10485760;
+
+// Names for the settings that grow with the user's lists, for size errors
+const SETTING_NAMES = {
+  accountRules: 'Account rules',
+  keywordRules: 'Keyword rules',
+  mediaSourceRules: 'Media source rules',
+  customRules: 'Custom rules',
+  whitelistedDomains: 'Whitelisted domains',
+  blacklistedDomains: 'Blacklisted domains',
+  mastodonInstances: 'Mastodon instances'
+};
+
+export function getSettingArea(key) {
+  return LOCAL_SETTINGS.includes(key) ? 'local' : 'sync';
+}
+
+/**
+ * Split a settings object into the parts stored in each area
+ */
+export function splitSettings(settings) {
+  return Object.entries(settings).reduce((areas, [key, value]) => {
+    areas[getSettingArea(key)][key] = value;
+    return areas;
+  }, { sync: {}, local: {} });
+}
+
+/**
+ * Bytes a setting takes in storage: Chrome counts the key and the JSON of the value, in UTF-8
+ */
+export function getSettingSize(key, value) {
+  return encodeURIComponent(key + JSON.stringify(value)).replace(/%[0-9A-F]{2}/g, '_').length;
+}
+
+/**
+ * Why a value can't be stored under its key, or null when it fits
+ */
+export function getSettingSizeError(key, value) {
+  const limit = getSettingArea(key) === 'local' ? LOCAL_QUOTA_BYTES : SYNC_QUOTA_BYTES_PER_ITEM;
+  const size = getSettingSize(key, value);
+  if (size <= limit) {
+    return null;
+  }
+
+  const kilobytes = bytes => `${Math.ceil(bytes / 1024)} KB`;
+  return `${SETTING_NAMES[key] || key} take ${kilobytes(size)}, more than the ${kilobytes(limit)} browser storage allows`;
+}
@@ -0,0 +1,58 @@
+/**
+ * Tests for settings storage areas and quotas
+ */
+
+import { parseAccountList } from './account-rules';
+import {
+  getSettingArea,
+  getSettingSize,
+  getSettingSizeError,
+  splitSettings
+} from './settings-storage';
+
+describe('getSettingArea', () => {
+  it('should keep rule lists local and sync everything else', () => {
+    expect(getSettingArea('accountRules')).toBe('local');
+    expect(getSettingArea('keywordRules')).toBe('local');
+    expect(getSettingArea('mediaSourceRules')).toBe('local');
+    expect(getSettingArea('intensityLevel')).toBe('sync');
+  });
+});
+
+describe('splitSettings', () => {
+  it('should split settings by storage area', () => {
+    expect(splitSettings({ enabled: true, accountRules: [] })).toEqual({
+      sync: { enabled: true },
+      local: { accountRules: [] }
+    });
+  });
+});
+
+describe('getSettingSize', () => {
+  it('should count the key and the JSON value in UTF-8 bytes', () => {
+    expect(getSettingSize('a', 'b')).toBe(4);
+    expect(getSettingSize('a', 'é')).toBe(5);
+  });
+});
+
+describe('getSettingSizeError', () => {
+  const largeImport = () => {
+    const handles = Array.from({ length: 500 }, (_, index) => `someone_${index}`).join('\n');
+    return parseAccountList(handles, 'deny').rules;
+  };
+
+  it('should accept an account import too large for a single synced item', () => {
+    const rules = largeImport();
+
+    expect(getSettingSize('accountRules', rules)).toBeGreaterThan(8192);
+    expect(getSettingSizeError('accountRules', rules)).toBeNull();
+  });
+
+  it('should report synced settings over the per-item quota', () => {
+    const domains = Array.from({ length: 500 }, (_, index) => `site-${index}.example.com`);
+
+    expect(getSettingSizeError('blacklistedDomains', domains))
+      .toMatch(/^Blacklisted domains take \d+ KB, more than the 8 KB browser storage allows$/);
+    expect(getSettingSizeError('blacklistedDomains', domains.slice(0, 10))).toBeNull();
+  });
+});
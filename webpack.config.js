@@ -16,7 +16,8 @@ module.exports = (env, argv) => {
       background: './src/background/background.js',
       content: './src/content/content.js',
       popup: './src/popup/popup.js',
-      options: './src/options/options.js'
+      options: './src/options/options.js',
+      offscreen: './src/offscreen/offscreen.js'
     },
 
     // Output configuration
@@ -35,12 +36,17 @@ module.exports = (env, argv) => {
         '@content': path.resolve(__dirname, 'src/content'),
         '@popup': path.resolve(__dirname, 'src/popup'),
         '@options': path.resolve(__dirname, 'src/options'),
+        '@offscreen': path.resolve(__dirname, 'src/offscreen'),
+        '@adapters': path.resolve(__dirname, 'src/adapters'),
         '@utils': path.resolve(__dirname, 'src/utils')
       }
     },
 
     // Module rules for different file types
     module: {
+      // nsfwjs ships its model weights as prebuilt UMD bundles; parsing them only trips on their loader stub
+      noParse: /nsfwjs[\\/]dist[\\/]models[\\/]/,
+
       rules: [
         // JavaScript files
         {
@@ -161,6 +167,17 @@ module.exports = (env, argv) => {
         } : false
       }),
 
+      // Offscreen document hosting the image classifier
+      new HtmlWebpackPlugin({
+        template: './src/offscreen/offscreen.html',
+        filename: 'offscreen.html',
+        chunks: ['offscreen'],
+        minify: isProduction ? {
+          removeComments: true,
+          collapseWhitespace: true
+        } : false
+      }),
+
       // Bundle analyzer (only when ANALYZE=true)
       ...(process.env.ANALYZE ? [new BundleAnalyzerPlugin()] : [])
     ],
@@ -193,7 +210,8 @@ module.exports = (env, argv) => {
           vendor: {
             test: /[\\/]node_modules[\\/]/,
             name: 'vendors',
-            chunks: 'all',
+            // Keep TensorFlow.js and the lazily loaded model out of the bundle shared with the popup
+            chunks: chunk => chunk.canBeInitial() && chunk.name !== 'offscreen',
           },
           common: {
             name: 'common',